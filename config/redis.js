@@ -0,0 +1,32 @@
+const { createClient } = require('redis');
+
+// Shared Redis client for application state (BullMQ manages its own connections).
+// Commands fail fast while disconnected instead of queueing.
+const redisClient = createClient({
+  socket: {
+    host: process.env.REDIS_HOST || 'localhost',
+    port: parseInt(process.env.REDIS_PORT) || 6379
+  },
+  disableOfflineQueue: true
+});
+
+redisClient.on('error', (err) => {
+  console.error('Redis client error:', err.message);
+});
+
+redisClient.connect().catch((err) => {
+  console.error(`Redis connection error: ${err.message}`);
+});
+
+// Get the client, or throw if it isn't connected yet
+const getRedisClient = () => {
+  if (!redisClient.isReady) {
+    throw new Error('Redis connection is not ready');
+  }
+  return redisClient;
+};
+
+module.exports = {
+  redisClient,
+  getRedisClient
+};
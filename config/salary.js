@@ -0,0 +1,48 @@
+// Salary normalization settings.
+//
+// Salaries are compared on an annual amount in SALARY_BASE_CURRENCY. Rates say how many
+// units of the base currency one unit of each currency is worth, and can be overridden
+// with SALARY_EXCHANGE_RATES, e.g. '{"USD": 83.5, "EUR": 90.2}'.
+// After changing rates, run `npm run migrate:salaries` to re-normalize stored jobs.
+const DEFAULT_RATES = {
+  INR: 1,
+  USD: 83,
+  EUR: 90
+};
+
+const parseRates = () => {
+  if (!process.env.SALARY_EXCHANGE_RATES) return {};
+  try {
+    return JSON.parse(process.env.SALARY_EXCHANGE_RATES);
+  } catch (error) {
+    console.error('Invalid SALARY_EXCHANGE_RATES, using defaults:', error.message);
+    return {};
+  }
+};
+
+const baseCurrency = process.env.SALARY_BASE_CURRENCY || 'INR';
+const exchangeRates = { ...DEFAULT_RATES, ...parseRates(), [baseCurrency]: 1 };
+
+// How many pay periods make up a year
+const periodsPerYear = {
+  hourly: parseInt(process.env.SALARY_HOURS_PER_YEAR) || 2080, // 40 hours x 52 weeks
+  monthly: 12,
+  yearly: 1
+};
+
+// Annual base-currency boundaries for the salary facet on job search
+const facetBuckets = (process.env.SALARY_FACET_BUCKETS || '0,300000,600000,1000000,1500000,2500000,5000000')
+  .split(',')
+  .map(Number)
+  .filter(Number.isFinite)
+  .sort((a, b) => a - b);
+
+module.exports = {
+  baseCurrency,
+  exchangeRates,
+  periodsPerYear,
+  currencies: Object.keys(exchangeRates),
+  periods: Object.keys(periodsPerYear),
+  facetBuckets,
+  defaultCurrency: process.env.SALARY_DEFAULT_CURRENCY || baseCurrency
+};
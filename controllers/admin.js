@@ -0,0 +1,257 @@
+const { validationResult } = require('express-validator');
+const User = require('../models/user');
+const Job = require('../models/job');
+const queueService = require('../services/queue_service');
+const escapeRegex = require('../utils/escape_regex');
+const { NEWEST_FIRST, parsePagination, applyCursor, buildPage } = require('../utils/pagination');
+
+class AdminController {
+
+  // @desc    List and search users
+  // @route   GET /api/admin/users
+  // @access  Private (Admin)
+  async getUsers(req, res) {
+    try {
+      const { search, role, isActive } = req.query;
+      const { limit, after, includeTotal, error } = parsePagination(req.query, NEWEST_FIRST);
+      if (error) {
+        return res.status(400).json({ status: 'error', message: error });
+      }
+
+      const query = {};
+      if (search) {
+        const pattern = new RegExp(escapeRegex(search), 'i');
+        query.$or = [
+          { email: pattern },
+          { firstName: pattern },
+          { lastName: pattern },
+          { companyName: pattern }
+        ];
+      }
+      if (role) query.role = role;
+      if (isActive !== undefined) query.isActive = isActive === 'true';
+
+      const [results, total] = await Promise.all([
+        User.find(applyCursor(query, NEWEST_FIRST, after))
+          .select('-refreshTokens')
+          .sort(Object.fromEntries(NEWEST_FIRST))
+          .limit(limit + 1),
+        includeTotal ? User.countDocuments(query) : undefined
+      ]);
+      const { items: users, pagination } = buildPage(results, { limit, sort: NEWEST_FIRST, total });
+
+      res.status(200).json({
+        status: 'success',
+        results: users.length,
+        pagination,
+        data: users
+      });
+
+    } catch (error) {
+      console.error('Admin get users error:', error);
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Get a single user with session count
+  // @route   GET /api/admin/users/:id
+  // @access  Private (Admin)
+  async getUserById(req, res) {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({ status: 'error', message: 'User not found' });
+      }
+
+      const { refreshTokens, ...userData } = user.toObject();
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          ...userData,
+          activeSessions: refreshTokens.length
+        }
+      });
+
+    } catch (error) {
+      console.error('Admin get user error:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'User not found' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Deactivate a user account and end all their sessions
+  // @route   PATCH /api/admin/users/:id/deactivate
+  // @access  Private (Admin)
+  async deactivateUser(req, res) {
+    try {
+      if (req.params.id === req.user.userId.toString()) {
+        return res.status(400).json({ status: 'error', message: 'You cannot deactivate your own account' });
+      }
+
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({ status: 'error', message: 'User not found' });
+      }
+
+      user.isActive = false;
+      user.refreshTokens = [];
+      user.sessionsRevokedAt = new Date();
+      await user.save();
+
+      res.status(200).json({ status: 'success', message: 'User deactivated successfully' });
+
+    } catch (error) {
+      console.error('Admin deactivate user error:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'User not found' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Reactivate a user account
+  // @route   PATCH /api/admin/users/:id/reactivate
+  // @access  Private (Admin)
+  async reactivateUser(req, res) {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({ status: 'error', message: 'User not found' });
+      }
+
+      user.isActive = true;
+      await user.save();
+
+      res.status(200).json({ status: 'success', message: 'User reactivated successfully' });
+
+    } catch (error) {
+      console.error('Admin reactivate user error:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'User not found' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Revoke every session of a user, including unexpired access tokens
+  // @route   POST /api/admin/users/:id/force-logout
+  // @access  Private (Admin)
+  async forceLogoutUser(req, res) {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({ status: 'error', message: 'User not found' });
+      }
+
+      user.refreshTokens = [];
+      user.sessionsRevokedAt = new Date();
+      await user.save();
+
+      res.status(200).json({ status: 'success', message: 'User logged out from all devices' });
+
+    } catch (error) {
+      console.error('Admin force logout error:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'User not found' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Take down a job posting
+  // @route   PATCH /api/admin/jobs/:id/takedown
+  // @access  Private (Admin)
+  async takeDownJob(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const job = await Job.findById(req.params.id);
+      if (!job) {
+        return res.status(404).json({ status: 'error', message: 'Job not found' });
+      }
+
+      job.moderation = {
+        takenDown: true,
+        reason: req.body.reason,
+        takenDownAt: new Date(),
+        takenDownBy: req.user.userId
+      };
+      await job.save();
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Job taken down successfully',
+        data: job
+      });
+
+    } catch (error) {
+      console.error('Admin take down job error:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'Job not found' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Restore a job that was taken down
+  // @route   PATCH /api/admin/jobs/:id/restore
+  // @access  Private (Admin)
+  async restoreJob(req, res) {
+    try {
+      const job = await Job.findById(req.params.id);
+      if (!job) {
+        return res.status(404).json({ status: 'error', message: 'Job not found' });
+      }
+
+      if (!job.moderation || !job.moderation.takenDown) {
+        return res.status(400).json({ status: 'error', message: 'Job has not been taken down' });
+      }
+
+      job.moderation = { takenDown: false };
+      await job.save();
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Job restored successfully',
+        data: job
+      });
+
+    } catch (error) {
+      console.error('Admin restore job error:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'Job not found' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Get email queue statistics
+  // @route   GET /api/admin/queue-stats
+  // @access  Private (Admin)
+  async getQueueStats(req, res) {
+    try {
+      const stats = await queueService.getQueueStats();
+
+      res.status(200).json({
+        status: 'success',
+        data: stats
+      });
+
+    } catch (error) {
+      console.error('Admin queue stats error:', error);
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+}
+
+module.exports = new AdminController();
@@ -0,0 +1,149 @@
+const { validationResult } = require('express-validator');
+const ApiKey = require('../models/api_key');
+
+// Fields safe to return for a stored key
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  revokedAt: apiKey.revokedAt,
+  createdAt: apiKey.createdAt
+});
+
+class ApiKeyController {
+
+  // @desc    Create an API key
+  // @route   POST /api/api-keys
+  // @access  Private (Employer)
+  async createApiKey(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { name, scopes, expiresAt } = req.body;
+      const { key, prefix, keyHash } = ApiKey.generateKey();
+
+      const apiKey = new ApiKey({
+        employerId: req.user.userId,
+        name,
+        prefix,
+        keyHash,
+        scopes: [...new Set(scopes)],
+        expiresAt
+      });
+
+      await apiKey.save();
+
+      res.status(201).json({
+        status: 'success',
+        message: 'API key created. Copy it now; it will not be shown again.',
+        data: {
+          ...formatApiKey(apiKey),
+          key
+        }
+      });
+
+    } catch (error) {
+      console.error('Create API key error:', error);
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    List the employer's API keys
+  // @route   GET /api/api-keys
+  // @access  Private (Employer)
+  async getApiKeys(req, res) {
+    try {
+      const apiKeys = await ApiKey.find({ employerId: req.user.userId }).sort({ createdAt: -1 });
+
+      res.status(200).json({
+        status: 'success',
+        results: apiKeys.length,
+        data: apiKeys.map(formatApiKey)
+      });
+
+    } catch (error) {
+      console.error('Get API keys error:', error);
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Change an API key's name or scopes
+  // @route   PATCH /api/api-keys/:id
+  // @access  Private (Employer)
+  async updateApiKey(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const apiKey = await ApiKey.findOne({ _id: req.params.id, employerId: req.user.userId });
+      if (!apiKey) {
+        return res.status(404).json({ status: 'error', message: 'API key not found' });
+      }
+
+      if (apiKey.revokedAt) {
+        return res.status(400).json({ status: 'error', message: 'Revoked API keys cannot be changed' });
+      }
+
+      if (req.body.name !== undefined) apiKey.name = req.body.name;
+      if (req.body.scopes !== undefined) apiKey.scopes = [...new Set(req.body.scopes)];
+      await apiKey.save();
+
+      res.status(200).json({
+        status: 'success',
+        message: 'API key updated successfully',
+        data: formatApiKey(apiKey)
+      });
+
+    } catch (error) {
+      console.error('Update API key error:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'API key not found' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Revoke an API key
+  // @route   DELETE /api/api-keys/:id
+  // @access  Private (Employer)
+  async revokeApiKey(req, res) {
+    try {
+      const apiKey = await ApiKey.findOne({ _id: req.params.id, employerId: req.user.userId });
+      if (!apiKey) {
+        return res.status(404).json({ status: 'error', message: 'API key not found' });
+      }
+
+      if (!apiKey.revokedAt) {
+        apiKey.revokedAt = new Date();
+        await apiKey.save();
+      }
+
+      res.status(200).json({ status: 'success', message: 'API key revoked successfully' });
+
+    } catch (error) {
+      console.error('Revoke API key error:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'API key not found' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+}
+
+module.exports = new ApiKeyController();
@@ -1,7 +1,101 @@
+const { validationResult } = require('express-validator');
 const Application = require('../models/application');
 const Job = require('../models/job');
 const User = require('../models/user');
+const Scorecard = require('../models/scorecard');
 const queueService = require('../services/queue_service');
+const applicationMatchService = require('../services/application_match_service');
+const scorecardService = require('../services/scorecard_service');
+const interviewService = require('../services/interview_service');
+const { evaluateScreeningAnswers, summarizeKnockoutReasons } = require('../utils/screening');
+const { parsePagination, applyCursor, buildPage } = require('../utils/pagination');
+const {
+  STAGE_CATEGORIES, WITHDRAWN, stageCategory, allowedTransitions, firstStage, firstRejectedStage
+} = require('../utils/pipeline');
+
+// Most recently submitted first; appliedAt rather than createdAt so re-applications count as new
+const RECENTLY_APPLIED = [['appliedAt', -1], ['_id', -1]];
+
+// Sort options for an employer's applicant list; each ends on _id so ties stay in a stable order
+const APPLICATION_SORTS = {
+  score: [['match.score', -1], ['_id', -1]],
+  newest: RECENTLY_APPLIED,
+  oldest: [['appliedAt', 1], ['_id', 1]]
+};
+
+/**
+ * Build the filter for an employer's applicant list
+ * @param {Object} job - Job, for its pipeline stages
+ * @param {Object} query - req.query with optional status and category (comma-separated),
+ *                         minScore, appliedAfter, appliedBefore
+ * @returns {Object} { filter } or { error }
+ */
+const buildApplicationFilter = (job, query) => {
+  const filter = { job: job._id };
+
+  const listFilters = [
+    ['status', 'status', [...job.pipeline.map(stage => stage.key), WITHDRAWN]],
+    ['category', 'statusCategory', [...STAGE_CATEGORIES, WITHDRAWN]]
+  ];
+  for (const [param, field, allowed] of listFilters) {
+    if (!query[param]) continue;
+
+    const values = String(query[param]).split(',').map(value => value.trim());
+    if (values.some(value => !allowed.includes(value))) {
+      return { error: `${param} must be one of: ${allowed.join(', ')}` };
+    }
+    filter[field] = { $in: values };
+  }
+
+  if (query.minScore !== undefined) {
+    const minScore = Number(query.minScore);
+    if (!Number.isFinite(minScore) || minScore < 0 || minScore > 100) {
+      return { error: 'minScore must be a number between 0 and 100' };
+    }
+    filter['match.score'] = { $gte: minScore };
+  }
+
+  const appliedAt = {};
+  for (const [param, operator] of [['appliedAfter', '$gte'], ['appliedBefore', '$lte']]) {
+    if (query[param] === undefined) continue;
+
+    const date = new Date(query[param]);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `Invalid date format for ${param}` };
+    }
+    appliedAt[operator] = date;
+  }
+  if (Object.keys(appliedAt).length > 0) filter.appliedAt = appliedAt;
+
+  return { filter };
+};
+
+// Match scores and the raw status history are for employers only
+const forApplicant = (application) => {
+  const data = application.toJSON();
+  delete data.match;
+  delete data.statusHistory;
+  return data;
+};
+
+// Applicants see when their application moved, but not who moved it or the employer's reasons
+const redactStatusChange = change => ({
+  from: change.from,
+  to: change.to,
+  changedAt: change.changedAt,
+  ...(change.actorRole === 'applicant' && { reason: change.reason })
+});
+
+// Cancel open interviews once an application is withdrawn, rejected or hired, without failing the request
+const cancelInterviews = async (application, cancelledBy) => {
+  if (application.statusCategory === 'active') return;
+  try {
+    await interviewService.cancelOpenInterviews([application._id], cancelledBy);
+  } catch (error) {
+    // Log error but don't fail the request
+    console.error('Error cancelling interviews:', error);
+  }
+};
 
 class ApplicationController {
 
@@ -10,16 +104,21 @@ class ApplicationController {
   // @access  Private (Applicant)
   async applyToJob(req, res) {
     try {
-      const { coverLetter } = req.body;
+      const { coverLetter, screeningAnswers } = req.body;
       const applicantId = req.user.userId;
       const { jobId } = req.params;
 
       // Check if job exists and is active - populate employer info for email
       const job = await Job.findById(jobId).populate('employerId', 'email firstName lastName');
-      if (!job || !job.isActive) {
+      if (!job || (job.moderation && job.moderation.takenDown)) {
         return res.status(404).json({ status: 'error', message: 'Job not found or is no longer active' });
       }
 
+      // Drafts, scheduled, paused, closed and expired jobs don't take applications
+      if (job.status !== 'published' || (job.applicationDeadline && job.applicationDeadline < new Date())) {
+        return res.status(400).json({ status: 'error', message: 'This job is not accepting applications' });
+      }
+
       // Check if user is an applicant
       const applicant = await User.findById(applicantId);
       if (!applicant || applicant.role !== 'applicant') {
@@ -31,28 +130,82 @@ class ApplicationController {
         return res.status(400).json({ status: 'error', message: 'Please upload a resume before applying' });
       }
 
-      // Check if user has already applied for this job
+      // Check if user has already applied for this job. A withdrawn application is reused
+      // when the job lets withdrawn applicants re-apply.
       const existingApplication = await Application.findOne({ job: jobId, applicant: applicantId });
-      if (existingApplication) {
+      if (existingApplication && existingApplication.status !== WITHDRAWN) {
         return res.status(400).json({ status: 'error', message: 'You have already applied for this job' });
       }
+      if (existingApplication && !job.allowReapplyAfterWithdrawal) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'You withdrew your application and this job does not accept re-applications'
+        });
+      }
 
-      const application = new Application({
-        job: jobId,
-        applicant: applicantId,
-        coverLetter
-      });
+      // Validate screening answers and apply knockout rules
+      const screening = evaluateScreeningAnswers(job.screeningQuestions, screeningAnswers);
+      if (screening.errors.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid screening answers',
+          errors: screening.errors
+        });
+      }
+
+      const knockedOut = screening.knockoutReasons.length > 0;
+      const autoRejected = knockedOut && job.autoRejectOnKnockout;
+
+      const submission = {
+        coverLetter,
+        screeningAnswers: screening.answers,
+        knockedOut,
+        rejectionReason: autoRejected ? summarizeKnockoutReasons(screening.knockoutReasons) : undefined,
+        match: applicationMatchService.computeMatch(job, applicant, screening.answers),
+        appliedAt: new Date()
+      };
+
+      let application;
+      if (existingApplication) {
+        // A re-application starts fresh for the employer: no notes from the earlier round
+        application = existingApplication;
+        application.set({ ...submission, notes: undefined });
+        application.changeStatus(firstStage(job.pipeline), job.pipeline, {
+          actor: applicantId, actorRole: 'applicant', reason: 'Re-applied'
+        });
+      } else {
+        application = new Application({
+          job: jobId,
+          applicant: applicantId,
+          ...submission,
+          status: firstStage(job.pipeline),
+          statusHistory: [{ from: null, to: firstStage(job.pipeline), actor: applicantId, actorRole: 'applicant' }]
+        });
+      }
+
+      if (autoRejected) {
+        application.changeStatus(firstRejectedStage(job.pipeline), job.pipeline, {
+          actorRole: 'system', reason: application.rejectionReason
+        });
+      }
 
       await application.save();
 
+      // Scorecards from the earlier round don't count towards the new one
+      if (existingApplication) {
+        await Scorecard.deleteMany({ application: application._id });
+      }
+
       // Enqueue email notifications (non-blocking)
       try {
-        // Send notification to employer
-        await queueService.sendApplicationNotification({
-          employerEmail: job.employerId.email,
-          jobTitle: job.title,
-          applicantName: `${applicant.firstName} ${applicant.lastName}`
-        });
+        // Send notification to employer, unless the application was screened out
+        if (!autoRejected) {
+          await queueService.sendApplicationNotification({
+            employerEmail: job.employerId.email,
+            jobTitle: job.title,
+            applicantName: `${applicant.firstName} ${applicant.lastName}`
+          });
+        }
 
         // Send confirmation to applicant
         await queueService.sendApplicationConfirmation({
@@ -70,7 +223,7 @@ class ApplicationController {
       res.status(201).json({
         status: 'success',
         message: 'Application submitted successfully',
-        data: application
+        data: forApplicant(application)
       });
 
     } catch (error) {
@@ -79,7 +232,8 @@ class ApplicationController {
     }
   }
 
-  // @desc    Get all applications for a specific job
+  // @desc    Get all applications for a specific job, filterable by status, match score and date
+  //          and sorted by score, newest or oldest (?sort=, default newest)
   // @route   GET /api/applications/job/:jobId
   // @access  Private (Employer who posted the job)
   async getApplicationsForJob(req, res) {
@@ -87,18 +241,44 @@ class ApplicationController {
       const { jobId } = req.params;
       const employerId = req.user.userId;
 
-      // Check if the user is the owner of the job
+      // Check if the user is the owner of the job or one of its reviewers
       const job = await Job.findById(jobId);
-      if (!job || job.employerId.toString() !== employerId.toString()) {
+      if (!job || !job.canReview(employerId)) {
         return res.status(403).json({ status: 'error', message: 'You are not authorized to view applications for this job' });
       }
 
-      const applications = await Application.find({ job: jobId })
-        .populate('applicant', 'firstName lastName email skills experience resume');
+      const sortName = req.query.sort || 'newest';
+      const sort = APPLICATION_SORTS[sortName];
+      if (!sort) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Sort must be one of: ${Object.keys(APPLICATION_SORTS).join(', ')}`
+        });
+      }
+
+      const { filter: query, error: filterError } = buildApplicationFilter(job, req.query);
+      if (filterError) {
+        return res.status(400).json({ status: 'error', message: filterError });
+      }
+
+      const { limit, after, includeTotal, error } = parsePagination(req.query, sort, sortName);
+      if (error) {
+        return res.status(400).json({ status: 'error', message: error });
+      }
+
+      const [results, total] = await Promise.all([
+        Application.find(applyCursor(query, sort, after))
+          .populate('applicant', 'firstName lastName email skills experience resume')
+          .sort(Object.fromEntries(sort))
+          .limit(limit + 1),
+        includeTotal ? Application.countDocuments(query) : undefined
+      ]);
+      const { items: applications, pagination } = buildPage(results, { limit, sort, key: sortName, total });
 
       res.status(200).json({
         status: 'success',
         results: applications.length,
+        pagination,
         data: applications
       });
 
@@ -118,7 +298,7 @@ class ApplicationController {
       const userRole = req.user.role;
 
       const application = await Application.findById(id)
-        .populate('job', 'title company employerId') // Ensure employerId is populated
+        .populate('job', 'title company employerId reviewers') // Ensure employerId is populated
         .populate('applicant', 'firstName lastName email');
 
       if (!application) {
@@ -135,15 +315,22 @@ class ApplicationController {
 
       // Check if the user is authorized to view the application
       const isApplicant = userRole === 'applicant' && application.applicant._id.toString() === userId.toString();
-      const isEmployer = userRole === 'employer' && application.job.employerId.toString() === userId.toString();
+      const isEmployer = userRole === 'employer' && application.job.canReview(userId);
 
       if (!isApplicant && !isEmployer) {
         return res.status(403).json({ status: 'error', message: 'You are not authorized to view this application' });
       }
 
+      if (isApplicant) {
+        return res.status(200).json({ status: 'success', data: forApplicant(application) });
+      }
+
+      // Reviewer feedback is only ever added to the employer view
+      const scorecards = await Scorecard.find({ application: application._id }).select('recommendation criteria');
+
       res.status(200).json({
         status: 'success',
-        data: application
+        data: { ...application.toJSON(), scorecardSummary: scorecardService.summarize(scorecards) }
       });
 
     } catch (error) {
@@ -155,13 +342,151 @@ class ApplicationController {
     }
   }
 
+  // @desc    Withdraw an application, with an optional reason for the employer
+  // @route   POST /api/applications/:id/withdraw
+  // @access  Private (Applicant who applied)
+  async withdrawApplication(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+      const { reason } = req.body;
+      const applicantId = req.user.userId;
+
+      const application = await Application.findById(id)
+        .populate({ path: 'job', select: 'title employerId pipeline', populate: { path: 'employerId', select: 'email' } })
+        .populate('applicant', 'firstName lastName');
+
+      if (!application) {
+        return res.status(404).json({ status: 'error', message: 'Application not found' });
+      }
+
+      if (!application.job || !application.applicant) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Application data is incomplete. The associated job or applicant may have been deleted.'
+        });
+      }
+
+      if (application.applicant._id.toString() !== applicantId.toString()) {
+        return res.status(403).json({ status: 'error', message: 'You are not authorized to withdraw this application' });
+      }
+
+      // Only applications still in progress can be withdrawn
+      if (stageCategory(application.job.pipeline, application.status) !== 'active') {
+        return res.status(400).json({
+          status: 'error',
+          message: `Cannot withdraw an application that is ${application.status}`
+        });
+      }
+
+      application.changeStatus(WITHDRAWN, application.job.pipeline, { actor: applicantId, actorRole: 'applicant', reason });
+      await application.save();
+      await cancelInterviews(application, 'applicant');
+
+      // Enqueue email notification (non-blocking)
+      try {
+        if (application.job.employerId) {
+          await queueService.sendApplicationWithdrawnNotification({
+            employerEmail: application.job.employerId.email,
+            jobTitle: application.job.title,
+            applicantName: `${application.applicant.firstName} ${application.applicant.lastName}`,
+            reason
+          });
+        }
+      } catch (queueError) {
+        // Log error but don't fail the request
+        console.error('Error enqueueing application withdrawn notification:', queueError);
+      }
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Application withdrawn',
+        data: forApplicant(application)
+      });
+
+    } catch (error) {
+      console.error('Withdraw application error:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'Application not found' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Get the status history of an application; redacted for the applicant
+  // @route   GET /api/applications/:id/timeline
+  // @access  Private (Applicant who applied or Employer who posted the job)
+  async getApplicationTimeline(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const userRole = req.user.role;
+
+      const application = await Application.findById(id)
+        .select('job applicant status statusHistory')
+        .populate('job', 'employerId reviewers')
+        .populate('statusHistory.actor', 'firstName lastName role');
+
+      if (!application) {
+        return res.status(404).json({ status: 'error', message: 'Application not found' });
+      }
+
+      if (!application.job) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Application data is incomplete. The associated job may have been deleted.'
+        });
+      }
+
+      const isApplicant = userRole === 'applicant' && application.applicant.toString() === userId.toString();
+      const isEmployer = userRole === 'employer' && application.job.canReview(userId);
+
+      if (!isApplicant && !isEmployer) {
+        return res.status(403).json({ status: 'error', message: 'You are not authorized to view this application' });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          applicationId: application._id,
+          status: application.status,
+          timeline: isApplicant ? application.statusHistory.map(redactStatusChange) : application.statusHistory
+        }
+      });
+
+    } catch (error) {
+      console.error('Get application timeline error:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'Application not found' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
   // @desc    Update the status and/or add notes to an application
   // @route   PATCH /api/applications/:id
   // @access  Private (Employer who posted the job)
   async updateApplicationStatus(req, res) {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
       const { id } = req.params;
-      const { status, notes } = req.body;
+      const { status, notes, reason } = req.body;
       const employerId = req.user.userId;
 
       const application = await Application.findById(id).populate('job');
@@ -183,13 +508,18 @@ class ApplicationController {
         return res.status(403).json({ status: 'error', message: 'You are not authorized to update this application' });
       }
 
-      // Update status if provided
-      if (status) {
-        const allowedStatusUpdates = ['reviewed', 'shortlisted', 'interview', 'rejected', 'hired'];
-        if (!allowedStatusUpdates.includes(status)) {
-          return res.status(400).json({ status: 'error', message: 'Invalid status update' });
+      // Update status if provided and changed, following the job's pipeline
+      const pipeline = application.job.pipeline;
+      if (status && status !== application.status) {
+        if (!application.canTransitionTo(status, pipeline)) {
+          return res.status(400).json({
+            status: 'error',
+            message: `Cannot change application status from ${application.status} to ${status}`,
+            allowedStatuses: allowedTransitions(pipeline, application.status)
+          });
         }
-        application.status = status;
+        application.changeStatus(status, pipeline, { actor: employerId, actorRole: 'employer', reason });
+        if (application.statusCategory !== 'rejected') application.rejectionReason = undefined;
       }
 
       // Update notes if provided
@@ -198,6 +528,7 @@ class ApplicationController {
       }
 
       await application.save();
+      await cancelInterviews(application, 'employer');
 
       res.status(200).json({
         status: 'success',
@@ -218,13 +549,26 @@ class ApplicationController {
     try {
       const applicantId = req.user.userId;
 
-      const applications = await Application.find({ applicant: applicantId })
-        .populate('job', 'title company location jobType')
-        .sort({ createdAt: -1 });
+      const { limit, after, includeTotal, error } = parsePagination(req.query, RECENTLY_APPLIED);
+      if (error) {
+        return res.status(400).json({ status: 'error', message: error });
+      }
+
+      const query = { applicant: applicantId };
+      const [results, total] = await Promise.all([
+        Application.find(applyCursor(query, RECENTLY_APPLIED, after))
+          .select('-match -statusHistory')
+          .populate('job', 'title company location jobType')
+          .sort(Object.fromEntries(RECENTLY_APPLIED))
+          .limit(limit + 1),
+        includeTotal ? Application.countDocuments(query) : undefined
+      ]);
+      const { items: applications, pagination } = buildPage(results, { limit, sort: RECENTLY_APPLIED, total });
 
       res.status(200).json({
         status: 'success',
         results: applications.length,
+        pagination,
         data: applications
       });
 
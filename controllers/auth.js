@@ -1,6 +1,177 @@
+const crypto = require('crypto');
 const { validationResult } = require('express-validator');
 const User = require('../models/user');
 const tokenService = require('../services/token_service');
+const queueService = require('../services/queue_service');
+const totpService = require('../services/totp_service');
+const loginThrottleService = require('../services/login_throttle_service');
+const oidcService = require('../services/oidc_service');
+
+// Enqueue a verification email containing a signed, expiring token
+const enqueueVerificationEmail = async (user) => {
+  const token = tokenService.generateEmailVerificationToken({
+    userId: user._id,
+    email: user.email
+  });
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+
+  await queueService.sendVerificationEmail({
+    email: user.email,
+    firstName: user.firstName,
+    verificationUrl: `${clientUrl}/verify-email?token=${encodeURIComponent(token)}`
+  });
+};
+
+// Device metadata recorded against each session
+const getDeviceInfo = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ipAddress: req.ip
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Respond to a login attempt while the email or IP is locked out
+const sendLockoutResponse = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(401).json({
+    status: 'error',
+    message: 'Too many failed login attempts. Please try again later.',
+    lockout: {
+      locked: true,
+      retryAfter,
+      lockedUntil: new Date(Date.now() + retryAfter * 1000).toISOString()
+    }
+  });
+};
+
+// Record a failed login, warn the account owner if it triggered a lockout, and respond
+const handleFailedLogin = async (req, res, email, user, message) => {
+  const result = await loginThrottleService.recordFailure(email, req.ip);
+
+  if (result.newlyLocked && user) {
+    try {
+      await queueService.sendAccountLockoutEmail({
+        email: user.email,
+        firstName: user.firstName,
+        lockedUntil: new Date(Date.now() + result.retryAfter * 1000).toISOString(),
+        ipAddress: req.ip
+      });
+    } catch (queueError) {
+      console.error('Error enqueueing account lockout email:', queueError);
+    }
+  }
+
+  if (result.locked) {
+    return sendLockoutResponse(res, result.retryAfter);
+  }
+
+  return res.status(401).json({
+    status: 'error',
+    message,
+    lockout: {
+      locked: false,
+      attemptsRemaining: result.attemptsRemaining
+    }
+  });
+};
+
+// With 2FA on, first-factor success only earns a short-lived challenge token
+const sendMfaChallenge = (user, res) => {
+  const mfaToken = tokenService.generateMfaChallengeToken({ userId: user._id });
+
+  return res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication required',
+    data: {
+      mfaRequired: true,
+      mfaToken
+    }
+  });
+};
+
+// Find the account for a verified OIDC identity, linking by verified email or creating one
+const findOrCreateFederatedUser = async (providerName, claims, role) => {
+  const identity = { provider: providerName, subject: claims.sub };
+
+  let user = await User.findOne({ federatedIdentities: { $elemMatch: identity } });
+  if (user) return user;
+
+  if (!claims.email || claims.email_verified !== true) {
+    const error = new Error('Your identity provider did not supply a verified email address');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const email = claims.email.toLowerCase();
+  user = await User.findOne({ email });
+
+  if (user) {
+    // An unverified local account may have been registered by someone else with this
+    // address, so drop its password and sessions before handing it to the real owner
+    if (!user.isEmailVerified) {
+      user.password = undefined;
+      user.refreshTokens = [];
+      user.isEmailVerified = true;
+    }
+    user.federatedIdentities.push({ ...identity, email });
+    await user.save();
+    return user;
+  }
+
+  const nameParts = (claims.name || '').trim().split(/\s+/).filter(Boolean);
+  user = new User({
+    firstName: (claims.given_name || nameParts[0] || email.split('@')[0]).slice(0, 50),
+    lastName: (claims.family_name || nameParts.slice(1).join(' ') || 'User').slice(0, 50),
+    email,
+    role: role === 'employer' ? 'employer' : 'applicant',
+    isEmailVerified: true,
+    federatedIdentities: [{ ...identity, email }]
+  });
+  await user.save();
+  return user;
+};
+
+// Issue a new session for a fully authenticated user and send the login response
+const completeLogin = async (user, req, res) => {
+  await loginThrottleService.reset(user.email);
+
+  // Clean expired tokens
+  await user.cleanExpiredTokens();
+
+  // Generate tokens
+  const tokenPayload = {
+    userId: user._id,
+    email: user.email,
+    role: user.role
+  };
+
+  const { accessToken, refreshToken, family } = await tokenService.generateTokens(tokenPayload);
+
+  // Save refresh token to user
+  await user.addRefreshToken(refreshToken, family, getDeviceInfo(req));
+
+  // Return success response
+  res.status(200).json({
+    status: 'success',
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        role: user.role,
+        phone: user.phone,
+        companyName: user.companyName,
+        isEmailVerified: user.isEmailVerified,
+        twoFactorEnabled: user.twoFactor.enabled,
+        createdAt: user.createdAt
+      },
+      accessToken,
+      refreshToken
+    }
+  });
+};
 
 class AuthController {
   // Register new user
@@ -51,10 +222,18 @@ class AuthController {
         role: user.role
       };
 
-      const { accessToken, refreshToken } = tokenService.generateTokens(tokenPayload);
+      const { accessToken, refreshToken, family } = await tokenService.generateTokens(tokenPayload);
 
       // Save refresh token to user
-      await user.addRefreshToken(refreshToken);
+      await user.addRefreshToken(refreshToken, family, getDeviceInfo(req));
+
+      // Enqueue verification email (non-blocking)
+      try {
+        await enqueueVerificationEmail(user);
+      } catch (queueError) {
+        // Log error but don't fail the request - the user can ask for a new link
+        console.error('Error enqueueing verification email:', queueError);
+      }
 
       // Return success response
       res.status(201).json({
@@ -101,13 +280,19 @@ class AuthController {
 
       const { email, password } = req.body;
 
+      // Refuse while locked out, and slow down repeated failures
+      const throttle = await loginThrottleService.check(email, req.ip);
+      if (throttle.locked) {
+        return sendLockoutResponse(res, throttle.retryAfter);
+      }
+      if (throttle.delayMs > 0) {
+        await sleep(throttle.delayMs);
+      }
+
       // Find user and include password for comparison
       const user = await User.findOne({ email }).select('+password');
       if (!user) {
-        return res.status(401).json({
-          status: 'error',
-          message: 'Invalid email or password'
-        });
+        return handleFailedLogin(req, res, email, null, 'Invalid email or password');
       }
 
       // Check if user is active
@@ -121,47 +306,15 @@ class AuthController {
       // Compare password
       const isPasswordValid = await user.comparePassword(password);
       if (!isPasswordValid) {
-        return res.status(401).json({
-          status: 'error',
-          message: 'Invalid email or password'
-        });
+        return handleFailedLogin(req, res, email, user, 'Invalid email or password');
       }
 
-      // Clean expired tokens
-      await user.cleanExpiredTokens();
-
-      // Generate tokens
-      const tokenPayload = {
-        userId: user._id,
-        email: user.email,
-        role: user.role
-      };
-
-      const { accessToken, refreshToken } = tokenService.generateTokens(tokenPayload);
-
-      // Save refresh token to user
-      await user.addRefreshToken(refreshToken);
+      // With 2FA on, the password only earns a short-lived challenge token
+      if (user.twoFactor.enabled) {
+        return sendMfaChallenge(user, res);
+      }
 
-      // Return success response
-      res.status(200).json({
-        status: 'success',
-        message: 'Login successful',
-        data: {
-          user: {
-            id: user._id,
-            firstName: user.firstName,
-            lastName: user.lastName,
-            email: user.email,
-            role: user.role,
-            phone: user.phone,
-            companyName: user.companyName,
-            isEmailVerified: user.isEmailVerified,
-            createdAt: user.createdAt
-          },
-          accessToken,
-          refreshToken
-        }
-      });
+      await completeLogin(user, req, res);
 
     } catch (error) {
       console.error('Login error:', error);
@@ -187,7 +340,7 @@ class AuthController {
       // Verify refresh token
       let decoded;
       try {
-        decoded = tokenService.verifyRefreshToken(refreshToken);
+        decoded = await tokenService.verifyRefreshToken(refreshToken);
       } catch (error) {
         return res.status(401).json({
           status: 'error',
@@ -195,29 +348,45 @@ class AuthController {
         });
       }
 
-      // Find user and check if refresh token exists
       const user = await User.findById(decoded.userId);
-      if (!user || !user.refreshTokens.some(t => t.token === refreshToken)) {
+      if (!user) {
         return res.status(401).json({
           status: 'error',
           message: 'Invalid refresh token'
         });
       }
 
-      // Generate new access token
+      // A validly signed token that is no longer stored has already been rotated or revoked.
+      // If its family is still live, someone is replaying it, so end the whole family.
+      if (!user.hasRefreshToken(refreshToken)) {
+        if (decoded.family && user.refreshTokens.some(t => t.family === decoded.family)) {
+          console.warn(`Refresh token reuse detected for user ${user._id}, revoking token family`);
+          await user.revokeTokenFamily(decoded.family);
+        }
+
+        return res.status(401).json({
+          status: 'error',
+          message: 'Invalid refresh token'
+        });
+      }
+
+      // Issue a new token pair and invalidate the presented refresh token
       const tokenPayload = {
         userId: user._id,
         email: user.email,
         role: user.role
       };
 
-      const newAccessToken = tokenService.generateAccessToken(tokenPayload);
+      const { accessToken, refreshToken: newRefreshToken } = await tokenService.generateTokens(tokenPayload, decoded.family);
+
+      await user.rotateRefreshToken(refreshToken, newRefreshToken, getDeviceInfo(req));
 
       res.status(200).json({
         status: 'success',
         message: 'Token refreshed successfully',
         data: {
-          accessToken: newAccessToken
+          accessToken,
+          refreshToken: newRefreshToken
         }
       });
 
@@ -271,6 +440,675 @@ class AuthController {
     }
   }
 
+  // List configured external identity providers
+  async getOidcProviders(req, res) {
+    res.status(200).json({
+      status: 'success',
+      data: oidcService.getProviderNames()
+    });
+  }
+
+  // Start an OIDC login: returns the provider URL to redirect the browser to
+  async oidcAuthorize(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const authorizationUrl = await oidcService.createAuthorizationUrl(req.params.provider, {
+        role: req.query.role
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          authorizationUrl
+        }
+      });
+
+    } catch (error) {
+      console.error('OIDC authorize error:', error);
+      res.status(error.statusCode || 500).json({
+        status: 'error',
+        message: error.statusCode ? error.message : 'Internal server error during login'
+      });
+    }
+  }
+
+  // Finish an OIDC login with the code and state from the provider redirect
+  async oidcCallback(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { code, state } = req.body;
+      const { claims, role } = await oidcService.handleCallback(req.params.provider, code, state);
+      const user = await findOrCreateFederatedUser(req.params.provider.toLowerCase(), claims, role);
+
+      if (!user.isActive) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Account is deactivated. Please contact support.'
+        });
+      }
+
+      if (user.twoFactor.enabled) {
+        return sendMfaChallenge(user, res);
+      }
+
+      await completeLogin(user, req, res);
+
+    } catch (error) {
+      console.error('OIDC callback error:', error);
+      res.status(error.statusCode || 500).json({
+        status: 'error',
+        message: error.statusCode ? error.message : 'Internal server error during login'
+      });
+    }
+  }
+
+  // Second login step: exchange MFA challenge token and TOTP/recovery code for a session
+  async loginTwoFactor(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { mfaToken, code, recoveryCode } = req.body;
+
+      let decoded;
+      try {
+        decoded = tokenService.verifyMfaChallengeToken(mfaToken);
+      } catch (error) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Invalid or expired MFA challenge. Please log in again.'
+        });
+      }
+
+      const user = await User.findById(decoded.userId)
+        .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+      if (!user || !user.isActive || !user.twoFactor.enabled) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Invalid or expired MFA challenge. Please log in again.'
+        });
+      }
+
+      const throttle = await loginThrottleService.check(user.email, req.ip);
+      if (throttle.locked) {
+        return sendLockoutResponse(res, throttle.retryAfter);
+      }
+      if (throttle.delayMs > 0) {
+        await sleep(throttle.delayMs);
+      }
+
+      let verified = false;
+      if (code) {
+        const step = totpService.verifyCode(user.twoFactor.secret, code, user.twoFactor.lastUsedStep);
+        if (step !== null) {
+          user.twoFactor.lastUsedStep = step;
+          verified = true;
+        }
+      } else if (recoveryCode) {
+        verified = user.useRecoveryCode(recoveryCode);
+      }
+
+      if (!verified) {
+        return handleFailedLogin(req, res, user.email, user, 'Invalid authentication code');
+      }
+
+      await completeLogin(user, req, res);
+
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal server error during login'
+      });
+    }
+  }
+
+  // Start 2FA enrollment: generate a secret and its provisioning URI
+  async setupTwoFactor(req, res) {
+    try {
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'User not found'
+        });
+      }
+
+      if (user.twoFactor.enabled) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      const secret = totpService.generateSecret();
+      user.twoFactor.pendingSecret = secret;
+      await user.save();
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Scan the QR code with your authenticator app, then confirm with a code',
+        data: {
+          secret,
+          otpauthUrl: totpService.getProvisioningUri(secret, user.email)
+        }
+      });
+
+    } catch (error) {
+      console.error('Setup two-factor error:', error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  // Finish 2FA enrollment with a first valid code and hand out recovery codes
+  async confirmTwoFactor(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findById(req.user.userId).select('+twoFactor.pendingSecret');
+      if (!user) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'User not found'
+        });
+      }
+
+      if (user.twoFactor.enabled || !user.twoFactor.pendingSecret) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'No two-factor setup in progress'
+        });
+      }
+
+      const step = totpService.verifyCode(user.twoFactor.pendingSecret, req.body.code);
+      if (step === null) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid authentication code'
+        });
+      }
+
+      user.twoFactor.secret = user.twoFactor.pendingSecret;
+      user.twoFactor.pendingSecret = undefined;
+      user.twoFactor.lastUsedStep = step;
+      user.twoFactor.enabled = true;
+      const recoveryCodes = user.generateRecoveryCodes();
+      await user.save();
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+        data: {
+          recoveryCodes
+        }
+      });
+
+    } catch (error) {
+      console.error('Confirm two-factor error:', error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  // Replace all recovery codes
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findById(req.user.userId).select('+twoFactor.secret +twoFactor.lastUsedStep');
+      if (!user || !user.twoFactor.enabled) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      const step = totpService.verifyCode(user.twoFactor.secret, req.body.code, user.twoFactor.lastUsedStep);
+      if (step === null) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid authentication code'
+        });
+      }
+
+      user.twoFactor.lastUsedStep = step;
+      const recoveryCodes = user.generateRecoveryCodes();
+      await user.save();
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Recovery codes regenerated. Previous codes no longer work.',
+        data: {
+          recoveryCodes
+        }
+      });
+
+    } catch (error) {
+      console.error('Regenerate recovery codes error:', error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  // Make 2FA mandatory (or optional again) for this account
+  async setTwoFactorRequirement(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findById(req.user.userId).select('+twoFactor.secret +twoFactor.lastUsedStep');
+      if (!user || !user.twoFactor.enabled) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Enable two-factor authentication before changing this setting'
+        });
+      }
+
+      const step = totpService.verifyCode(user.twoFactor.secret, req.body.code, user.twoFactor.lastUsedStep);
+      if (step === null) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid authentication code'
+        });
+      }
+
+      user.twoFactor.lastUsedStep = step;
+      user.twoFactor.required = req.body.required;
+      await user.save();
+
+      res.status(200).json({
+        status: 'success',
+        message: user.twoFactor.required
+          ? 'Two-factor authentication is now mandatory for this account'
+          : 'Two-factor authentication is now optional for this account',
+        data: {
+          required: user.twoFactor.required
+        }
+      });
+
+    } catch (error) {
+      console.error('Set two-factor requirement error:', error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  // Turn 2FA off (not allowed while it is mandatory)
+  async disableTwoFactor(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findById(req.user.userId)
+        .select('+password +twoFactor.secret +twoFactor.lastUsedStep');
+      if (!user || !user.twoFactor.enabled) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      if (user.twoFactor.required) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Two-factor authentication is mandatory for this account. Make it optional first.'
+        });
+      }
+
+      const isPasswordValid = await user.comparePassword(req.body.password);
+      const step = totpService.verifyCode(user.twoFactor.secret, req.body.code, user.twoFactor.lastUsedStep);
+      if (!isPasswordValid || step === null) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid password or authentication code'
+        });
+      }
+
+      user.twoFactor.enabled = false;
+      user.twoFactor.secret = undefined;
+      user.twoFactor.lastUsedStep = undefined;
+      user.twoFactor.recoveryCodes = [];
+      await user.save();
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Two-factor authentication disabled'
+      });
+
+    } catch (error) {
+      console.error('Disable two-factor error:', error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  // Verify email address
+  async verifyEmail(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      let decoded;
+      try {
+        decoded = tokenService.verifyEmailVerificationToken(req.body.token);
+      } catch (error) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid or expired verification token'
+        });
+      }
+
+      // The email must still match, so a link sent before an email change can't verify the new address
+      const user = await User.findById(decoded.userId);
+      if (!user || user.email !== decoded.email) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid or expired verification token'
+        });
+      }
+
+      if (!user.isEmailVerified) {
+        user.isEmailVerified = true;
+        await user.save();
+      }
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Email verified successfully'
+      });
+
+    } catch (error) {
+      console.error('Verify email error:', error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal server error during email verification'
+      });
+    }
+  }
+
+  // Resend email verification link
+  async resendVerification(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findOne({ email: req.body.email });
+
+      // Only send to active, unverified accounts
+      if (user && user.isActive && !user.isEmailVerified) {
+        await enqueueVerificationEmail(user);
+      }
+
+      // Same response either way so this can't be used to discover registered emails
+      res.status(200).json({
+        status: 'success',
+        message: 'If an unverified account exists for this email, a verification link has been sent'
+      });
+
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal server error while sending verification email'
+      });
+    }
+  }
+
+  // Request a password reset link
+  async forgotPassword(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findOne({ email: req.body.email });
+
+      if (user && user.isActive) {
+        const resetToken = user.createPasswordResetToken();
+        await user.save();
+
+        const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+
+        try {
+          await queueService.sendPasswordResetEmail({
+            email: user.email,
+            firstName: user.firstName,
+            resetUrl: `${clientUrl}/reset-password?token=${resetToken}`
+          });
+        } catch (queueError) {
+          // Don't leave a usable token behind if the email never goes out
+          user.passwordResetToken = undefined;
+          user.passwordResetExpires = undefined;
+          await user.save();
+          throw queueError;
+        }
+      }
+
+      // Same response either way so this can't be used to discover registered emails
+      res.status(200).json({
+        status: 'success',
+        message: 'If an account exists for this email, a password reset link has been sent'
+      });
+
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal server error while requesting password reset'
+      });
+    }
+  }
+
+  // Reset password using a reset token
+  async resetPassword(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { token, newPassword } = req.body;
+      const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+      const user = await User.findOne({
+        passwordResetToken: hashedToken,
+        passwordResetExpires: { $gt: new Date() }
+      });
+
+      if (!user || !user.isActive) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid or expired password reset token'
+        });
+      }
+
+      // Set the new password, burn the token and sign out every session
+      user.password = newPassword;
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      user.refreshTokens = [];
+      await user.save();
+
+      // The owner has proven control of the mailbox, so lift any login lockout
+      await loginThrottleService.unlock(user.email);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Password has been reset successfully. Please log in with your new password.'
+      });
+
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal server error during password reset'
+      });
+    }
+  }
+
+  // List active sessions (devices) for the current user
+  async getSessions(req, res) {
+    try {
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'User not found'
+        });
+      }
+
+      const sessions = user.refreshTokens
+        .map(t => ({
+          id: t._id,
+          userAgent: t.userAgent,
+          ipAddress: t.ipAddress,
+          createdAt: t.createdAt,
+          lastUsedAt: t.lastUsedAt || t.createdAt,
+          current: t.family === req.user.sessionId
+        }))
+        .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+
+      res.status(200).json({
+        status: 'success',
+        results: sessions.length,
+        data: sessions
+      });
+
+    } catch (error) {
+      console.error('Get sessions error:', error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  // Revoke a single session (device)
+  async revokeSession(req, res) {
+    try {
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'User not found'
+        });
+      }
+
+      const session = user.refreshTokens.find(t => t._id.toString() === req.params.id);
+      if (!session) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Session not found'
+        });
+      }
+
+      await user.revokeSession(session._id);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Session revoked successfully'
+      });
+
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal server error'
+      });
+    }
+  }
+
   // Logout from all devices
   async logoutAll(req, res) {
     try {
@@ -0,0 +1,110 @@
+const Bookmark = require('../models/bookmark');
+const Job = require('../models/job');
+const { NEWEST_FIRST, parsePagination, applyCursor, buildPage } = require('../utils/pagination');
+
+class BookmarkController {
+
+  // @desc    Bookmark a job
+  // @route   POST /api/jobs/:id/bookmark
+  // @access  Private (Applicant)
+  async bookmarkJob(req, res) {
+    try {
+      const job = await Job.findById(req.params.id).select('isActive');
+      if (!job || !job.isActive) {
+        return res.status(404).json({ status: 'error', message: 'Job not found or is no longer active' });
+      }
+
+      // Upsert so bookmarking twice is harmless
+      const result = await Bookmark.updateOne(
+        { userId: req.user.userId, jobId: job._id },
+        { $setOnInsert: { userId: req.user.userId, jobId: job._id } },
+        { upsert: true }
+      );
+      const created = result.upsertedCount > 0;
+
+      res.status(created ? 201 : 200).json({
+        status: 'success',
+        message: created ? 'Job bookmarked' : 'Job is already bookmarked',
+        data: { jobId: job._id, bookmarked: true }
+      });
+
+    } catch (error) {
+      console.error('Bookmark job error:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'Job not found' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Remove a job bookmark
+  // @route   DELETE /api/jobs/:id/bookmark
+  // @access  Private (Applicant)
+  async removeBookmark(req, res) {
+    try {
+      const bookmark = await Bookmark.findOneAndDelete({ userId: req.user.userId, jobId: req.params.id });
+      if (!bookmark) {
+        return res.status(404).json({ status: 'error', message: 'Bookmark not found' });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Bookmark removed',
+        data: { jobId: req.params.id, bookmarked: false }
+      });
+
+    } catch (error) {
+      console.error('Remove bookmark error:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'Bookmark not found' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Get the user's bookmarked jobs, newest bookmark first
+  // @route   GET /api/users/bookmarks
+  // @access  Private (Applicant)
+  async getBookmarks(req, res) {
+    try {
+      const { limit, after, includeTotal, error } = parsePagination(req.query, NEWEST_FIRST);
+      if (error) {
+        return res.status(400).json({ status: 'error', message: error });
+      }
+
+      const query = { userId: req.user.userId };
+      const [results, total] = await Promise.all([
+        Bookmark.find(applyCursor(query, NEWEST_FIRST, after))
+          .populate({
+            path: 'jobId',
+            select: 'title company location workMode salary jobType experienceLevel applicationDeadline status isActive'
+          })
+          .sort(Object.fromEntries(NEWEST_FIRST))
+          .limit(limit + 1),
+        includeTotal ? Bookmark.countDocuments(query) : undefined
+      ]);
+      const { items: bookmarks, pagination } = buildPage(results, { limit, sort: NEWEST_FIRST, total });
+
+      // Jobs deleted since they were bookmarked come back as null and are left out
+      const data = bookmarks
+        .filter(bookmark => bookmark.jobId)
+        .map(bookmark => ({
+          bookmarkedAt: bookmark.createdAt,
+          job: bookmark.jobId
+        }));
+
+      res.status(200).json({
+        status: 'success',
+        results: data.length,
+        pagination,
+        data
+      });
+
+    } catch (error) {
+      console.error('Get bookmarks error:', error);
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+}
+
+module.exports = new BookmarkController();
@@ -0,0 +1,298 @@
+const { validationResult } = require('express-validator');
+const Application = require('../models/application');
+const Interview = require('../models/interview');
+const interviewService = require('../services/interview_service');
+
+/**
+ * Load an application with its job and work out who the user is to it
+ * @returns {Object} { application, isApplicant, isEmployer } or { status, message } to send back
+ */
+const loadApplication = async (applicationId, user) => {
+  const application = await Application.findById(applicationId).populate('job', 'title company employerId');
+
+  if (!application) {
+    return { status: 404, message: 'Application not found' };
+  }
+  if (!application.job) {
+    return { status: 404, message: 'Application data is incomplete. The associated job may have been deleted.' };
+  }
+
+  const isApplicant = user.role === 'applicant' && application.applicant.toString() === user.userId.toString();
+  const isEmployer = user.role === 'employer' && application.job.employerId.toString() === user.userId.toString();
+  if (!isApplicant && !isEmployer) {
+    return { status: 403, message: 'You are not authorized to access interviews for this application' };
+  }
+
+  return { application, isApplicant, isEmployer };
+};
+
+// Queue an interview email without failing the request
+const notify = async (interview, event) => {
+  try {
+    await interviewService.notify(interview, event);
+  } catch (queueError) {
+    // Log error but don't fail the request
+    console.error(`Error enqueueing interview ${event} email:`, queueError);
+  }
+};
+
+class InterviewController {
+
+  // @desc    Propose interview slots for an application
+  // @route   POST /api/applications/:id/interviews
+  // @access  Private (Employer who posted the job)
+  async scheduleInterview(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { application, isEmployer, status, message } = await loadApplication(req.params.id, req.user);
+      if (!application) {
+        return res.status(status).json({ status: 'error', message });
+      }
+      if (!isEmployer) {
+        return res.status(403).json({ status: 'error', message: 'Only the employer can schedule interviews' });
+      }
+
+      if (application.statusCategory !== 'active') {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Interviews can only be scheduled for applications still in progress'
+        });
+      }
+
+      const { slots, durationMinutes, timezone, location, meetingUrl, interviewers } = req.body;
+      const interview = new Interview({
+        application: application._id,
+        job: application.job._id,
+        applicant: application.applicant,
+        employerId: req.user.userId,
+        slots: slots.map(start => ({ start })),
+        durationMinutes,
+        timezone,
+        location,
+        meetingUrl,
+        interviewers
+      });
+
+      await interview.save();
+      await notify(interview, 'proposed');
+
+      res.status(201).json({
+        status: 'success',
+        message: 'Interview slots sent to the applicant',
+        data: interview
+      });
+
+    } catch (error) {
+      console.error('Schedule interview error:', error);
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ status: 'error', message: error.message });
+      }
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'Application not found' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    List an application's interviews, newest first
+  // @route   GET /api/applications/:id/interviews
+  // @access  Private (Applicant who applied or Employer who posted the job)
+  async getInterviews(req, res) {
+    try {
+      const { application, status, message } = await loadApplication(req.params.id, req.user);
+      if (!application) {
+        return res.status(status).json({ status: 'error', message });
+      }
+
+      const interviews = await Interview.find({ application: application._id }).sort({ createdAt: -1 });
+
+      res.status(200).json({
+        status: 'success',
+        results: interviews.length,
+        data: interviews
+      });
+
+    } catch (error) {
+      console.error('Get interviews error:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'Application not found' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Pick one of the proposed slots
+  // @route   POST /api/applications/:id/interviews/:interviewId/confirm
+  // @access  Private (Applicant who applied)
+  async confirmInterview(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { application, isApplicant, status, message } = await loadApplication(req.params.id, req.user);
+      if (!application) {
+        return res.status(status).json({ status: 'error', message });
+      }
+      if (!isApplicant) {
+        return res.status(403).json({ status: 'error', message: 'Only the applicant can pick an interview slot' });
+      }
+
+      const interview = await Interview.findOne({ _id: req.params.interviewId, application: application._id });
+      if (!interview) {
+        return res.status(404).json({ status: 'error', message: 'Interview not found' });
+      }
+      if (interview.status !== 'proposed') {
+        return res.status(400).json({ status: 'error', message: `This interview is already ${interview.status}` });
+      }
+
+      const slot = interview.slots.id(req.body.slotId);
+      if (!slot || slot.start <= new Date()) {
+        return res.status(400).json({ status: 'error', message: 'Pick one of the proposed slots that has not passed' });
+      }
+
+      interview.scheduledAt = slot.start;
+      interview.status = 'confirmed';
+      await interview.save();
+      await notify(interview, 'confirmed');
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Interview confirmed',
+        data: interview
+      });
+
+    } catch (error) {
+      console.error('Confirm interview error:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'Interview not found' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Move an interview to a new time, optionally changing its length or place
+  // @route   POST /api/applications/:id/interviews/:interviewId/reschedule
+  // @access  Private (Employer who posted the job)
+  async rescheduleInterview(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { application, isEmployer, status, message } = await loadApplication(req.params.id, req.user);
+      if (!application) {
+        return res.status(status).json({ status: 'error', message });
+      }
+      if (!isEmployer) {
+        return res.status(403).json({ status: 'error', message: 'Only the employer can reschedule interviews' });
+      }
+
+      const interview = await Interview.findOne({ _id: req.params.interviewId, application: application._id });
+      if (!interview) {
+        return res.status(404).json({ status: 'error', message: 'Interview not found' });
+      }
+      if (interview.status === 'cancelled') {
+        return res.status(400).json({ status: 'error', message: 'A cancelled interview cannot be rescheduled' });
+      }
+
+      const { start, durationMinutes, timezone, location, meetingUrl } = req.body;
+      if (durationMinutes !== undefined) interview.durationMinutes = durationMinutes;
+      if (timezone !== undefined) interview.timezone = timezone;
+      if (location !== undefined) interview.location = location;
+      if (meetingUrl !== undefined) interview.meetingUrl = meetingUrl;
+
+      interview.scheduledAt = start;
+      interview.status = 'confirmed';
+      interview.sequence += 1;
+      interview.reminderSentAt = null;
+      await interview.save();
+      await notify(interview, 'rescheduled');
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Interview rescheduled',
+        data: interview
+      });
+
+    } catch (error) {
+      console.error('Reschedule interview error:', error);
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ status: 'error', message: error.message });
+      }
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'Interview not found' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Cancel an interview, with an optional reason
+  // @route   POST /api/applications/:id/interviews/:interviewId/cancel
+  // @access  Private (Applicant who applied or Employer who posted the job)
+  async cancelInterview(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { application, isApplicant, status, message } = await loadApplication(req.params.id, req.user);
+      if (!application) {
+        return res.status(status).json({ status: 'error', message });
+      }
+
+      const interview = await Interview.findOne({ _id: req.params.interviewId, application: application._id });
+      if (!interview) {
+        return res.status(404).json({ status: 'error', message: 'Interview not found' });
+      }
+      if (interview.status === 'cancelled') {
+        return res.status(400).json({ status: 'error', message: 'This interview is already cancelled' });
+      }
+
+      interview.status = 'cancelled';
+      interview.cancellationReason = req.body.reason;
+      interview.cancelledBy = isApplicant ? 'applicant' : 'employer';
+      interview.sequence += 1;
+      await interview.save();
+      await notify(interview, 'cancelled');
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Interview cancelled',
+        data: interview
+      });
+
+    } catch (error) {
+      console.error('Cancel interview error:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'Interview not found' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+}
+
+module.exports = new InterviewController();
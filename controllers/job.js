@@ -1,6 +1,121 @@
 const { validationResult } = require('express-validator');
 const Job = require('../models/job');
 const User = require('../models/user');
+const Bookmark = require('../models/bookmark');
+const salaryConfig = require('../config/salary');
+const { buildJobSearchFilter } = require('../utils/job_search');
+const { NEWEST_FIRST, parsePagination, applyCursor, buildPage } = require('../utils/pagination');
+const geocodingService = require('../services/geocoding_service');
+const queueService = require('../services/queue_service');
+const pipelineService = require('../services/pipeline_service');
+
+// Knockout criteria stay private so applicants can't tailor their answers; so does the review team
+const HIDDEN_JOB_FIELDS = { 'screeningQuestions.knockout': 0, autoRejectOnKnockout: 0, reviewers: 0, invitedReviewers: 0 };
+
+// Resolve location and remote-country input into the stored shape
+const resolveJobLocationFields = (fields) => {
+  const resolved = { ...fields };
+  if (fields.location !== undefined) {
+    resolved.location = geocodingService.resolveLocation(fields.location);
+  }
+  if (Array.isArray(fields.remoteCountries)) {
+    resolved.remoteCountries = fields.remoteCountries.map(country => geocodingService.resolveCountry(country));
+  }
+  return resolved;
+};
+
+// Add a bookmarked flag to each job when the request is authenticated
+const withBookmarkFlags = async (jobs, user) => {
+  if (!user) return jobs;
+
+  const bookmarks = await Bookmark.find({ userId: user.userId, jobId: { $in: jobs.map(job => job._id) } }).select('jobId');
+  const bookmarkedIds = new Set(bookmarks.map(bookmark => bookmark.jobId.toString()));
+
+  return jobs.map(job => ({ ...job.toJSON(), bookmarked: bookmarkedIds.has(job._id.toString()) }));
+};
+
+// Job fields application match scores are computed from
+const MATCH_FIELDS = ['skillsRequired', 'experienceLevel', 'screeningQuestions'];
+
+// Sort options for job search. Jobs are sorted on sortValue, then _id so ties stay in a stable order.
+const JOB_SORTS = {
+  relevance: { value: { $meta: 'textScore' }, direction: -1 },
+  newest: { value: '$createdAt', direction: -1 },
+  // Highest pay first; undisclosed salaries last
+  salary: { value: { $ifNull: ['$salary.annualMax', -1] }, direction: -1 },
+  // Closing soonest first; jobs without a deadline last
+  deadline: { value: { $ifNull: ['$applicationDeadline', new Date(8640000000000000)] }, direction: 1 }
+};
+
+// Count pipeline for a single-field facet
+const countBy = (field, limit) => [
+  { $match: { [field.slice(1)]: { $nin: [null, ''] } } },
+  { $group: { _id: field, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  ...(limit ? [{ $limit: limit }] : [])
+];
+
+/**
+ * Facet counts for the search sidebar, over the same filter as the result list.
+ * Salary buckets count every job whose range overlaps the bucket, so each count
+ * matches what minSalary/maxSalary (in the base currency, yearly) would return.
+ * @param {Object} filter - Filter from buildJobSearchFilter
+ * @returns {Object} { jobType, experienceLevel, workMode, location, skills, salary }
+ */
+const getJobFacets = async (filter) => {
+  const boundaries = salaryConfig.facetBuckets;
+  const buckets = boundaries.map((min, index) => ({ min, max: index < boundaries.length - 1 ? boundaries[index + 1] : null }));
+
+  const [result] = await Job.aggregate([
+    { $match: filter },
+    {
+      $facet: {
+        jobType: countBy('$jobType'),
+        experienceLevel: countBy('$experienceLevel'),
+        workMode: countBy('$workMode'),
+        location: [
+          { $match: { 'location.country': { $nin: [null, ''] } } },
+          { $group: { _id: { city: '$location.city', country: '$location.country' }, count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: 20 }
+        ],
+        skills: [
+          { $unwind: '$skillsRequired' },
+          { $group: { _id: { $toLower: '$skillsRequired' }, count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: 15 }
+        ],
+        salary: [
+          { $match: { 'salary.disclosed': true, 'salary.annualMax': { $ne: null } } },
+          {
+            $group: buckets.reduce((group, bucket, index) => {
+              const overlaps = [{ $gte: ['$salary.annualMax', bucket.min] }];
+              if (bucket.max !== null) overlaps.push({ $lte: ['$salary.annualMin', bucket.max] });
+              group[`bucket${index}`] = { $sum: { $cond: [{ $and: overlaps }, 1, 0] } };
+              return group;
+            }, { _id: null })
+          }
+        ]
+      }
+    }
+  ]);
+
+  const toCounts = entries => entries.map(entry => ({ value: entry._id, count: entry.count }));
+  const salaryCounts = result.salary[0] || {};
+
+  return {
+    jobType: toCounts(result.jobType),
+    experienceLevel: toCounts(result.experienceLevel),
+    workMode: toCounts(result.workMode),
+    location: result.location.map(entry => ({ city: entry._id.city, country: entry._id.country, count: entry.count })),
+    skills: toCounts(result.skills),
+    salary: {
+      currency: salaryConfig.baseCurrency,
+      period: 'yearly',
+      buckets: buckets.map((bucket, index) => ({ ...bucket, count: salaryCounts[`bucket${index}`] || 0 }))
+    }
+  };
+};
 
 class JobController {
 
@@ -18,7 +133,12 @@ class JobController {
         });
       }
 
-      const { title, description, company, location, salary, jobType, experienceLevel, skillsRequired, applicationDeadline } = req.body;
+      const {
+        title, description, company, salary, jobType, experienceLevel, skillsRequired, applicationDeadline, workMode,
+        publishAt, closeAt, screeningQuestions, autoRejectOnKnockout, allowReapplyAfterWithdrawal,
+        pipeline, pipelineTemplateId
+      } = req.body;
+      const { location, remoteCountries } = resolveJobLocationFields(req.body);
 
       // The employer's user ID is attached by the auth middleware
       const employerId = req.user.userId;
@@ -37,16 +157,37 @@ class JobController {
         }
       }
 
+      // Inline stages or one of the employer's templates; the default pipeline otherwise
+      const { stages, error: pipelineError } = await pipelineService.resolveStages(
+        { stages: pipeline, templateId: pipelineTemplateId },
+        employerId
+      );
+      if (pipelineError) {
+        return res.status(400).json({ status: 'error', message: pipelineError });
+      }
+
+      // Jobs go live immediately unless saved as a draft or given a future publish time
+      const status = req.body.status || (publishAt && publishAt > new Date() ? 'scheduled' : 'published');
+
       const job = new Job({
         title,
         description,
         company: companyName,
         location,
+        workMode,
+        remoteCountries,
         salary,
         jobType,
         experienceLevel,
         skillsRequired,
         applicationDeadline,
+        status,
+        publishAt,
+        closeAt,
+        screeningQuestions,
+        autoRejectOnKnockout,
+        allowReapplyAfterWithdrawal,
+        pipeline: stages,
         employerId
       });
 
@@ -60,6 +201,9 @@ class JobController {
 
     } catch (error) {
       console.error('Create job error:', error);
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ status: 'error', message: error.message });
+      }
       res.status(500).json({
         status: 'error',
         message: 'Internal server error'
@@ -67,49 +211,60 @@ class JobController {
     }
   }
 
-  // @desc    Get all active jobs with filtering and pagination
+  // @desc    Get all active jobs with filtering, sorting, facet counts and pagination
   // @route   GET /api/jobs
-  // @access  Public
+  // @access  Public (bookmark flags when logged in)
   async getAllJobs(req, res) {
     try {
-      const { search, location, jobType, experienceLevel, minSalary, maxSalary } = req.query;
-      const page = parseInt(req.query.page, 10) || 1;
-      const limit = parseInt(req.query.limit, 10) || 10;
-      const skip = (page - 1) * limit;
-
-      let query = {
-        isActive: true,
-        applicationDeadline: { $gte: new Date() } // Only show jobs that are not past their deadline
-      };
-
-      if (search) query.$text = { $search: search };
-      if (location) query.location = { $regex: new RegExp(location, 'i') };
-      if (jobType) query.jobType = jobType;
-      if (experienceLevel) query.experienceLevel = experienceLevel;
-      
-      if (minSalary || maxSalary) {
-        query.salary = {};
-        if (minSalary) query.salary.$gte = Number(minSalary);
-        if (maxSalary) query.salary.$lte = Number(maxSalary);
-      }
-
-      const jobs = await Job.find(query)
-        .populate('employerId', 'companyName profilePicture')
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit);
-
-      const totalJobs = await Job.countDocuments(query);
+      const { filter, error } = buildJobSearchFilter(req.query);
+      if (error) {
+        return res.status(400).json({ status: 'error', message: error });
+      }
+
+      // Relevance is the default when searching, newest otherwise
+      const sortName = req.query.sort || (req.query.search ? 'relevance' : 'newest');
+      const sort = JOB_SORTS[sortName];
+      if (!sort) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Sort must be one of: ${Object.keys(JOB_SORTS).join(', ')}`
+        });
+      }
+      if (sortName === 'relevance' && !req.query.search) {
+        return res.status(400).json({ status: 'error', message: 'Sorting by relevance requires a search term' });
+      }
+
+      const sortFields = [['sortValue', sort.direction], ['_id', sort.direction]];
+      const { limit, after, includeTotal, error: cursorError } = parsePagination(req.query, sortFields, sortName);
+      if (cursorError) {
+        return res.status(400).json({ status: 'error', message: cursorError });
+      }
+
+      const [results, total, facets] = await Promise.all([
+        Job.aggregate([
+          { $match: filter },
+          { $addFields: { sortValue: sort.value } },
+          { $match: applyCursor({}, sortFields, after) },
+          { $sort: Object.fromEntries(sortFields) },
+          { $limit: limit + 1 },
+          { $project: HIDDEN_JOB_FIELDS }
+        ]),
+        includeTotal ? Job.countDocuments(filter) : undefined,
+        req.query.facets === 'true' ? getJobFacets(filter) : undefined
+      ]);
+
+      const { items, pagination } = buildPage(results, { limit, sort: sortFields, key: sortName, total });
+      const jobs = await Job.populate(items.map(({ sortValue, ...doc }) => Job.hydrate(doc, HIDDEN_JOB_FIELDS)), {
+        path: 'employerId',
+        select: 'companyName profilePicture'
+      });
 
       res.status(200).json({
         status: 'success',
         results: jobs.length,
-        pagination: {
-          currentPage: page,
-          totalPages: Math.ceil(totalJobs / limit),
-          totalJobs
-        },
-        data: jobs
+        pagination,
+        ...(facets && { facets }),
+        data: await withBookmarkFlags(jobs, req.user)
       });
 
     } catch (error) {
@@ -127,6 +282,7 @@ class JobController {
   async getJobById(req, res) {
     try {
       const job = await Job.findById(req.params.id)
+        .select(HIDDEN_JOB_FIELDS)
         .populate('employerId', 'companyName profilePicture website');
 
       if (!job || !job.isActive) {
@@ -136,9 +292,11 @@ class JobController {
         });
       }
 
+      const [data] = await withBookmarkFlags([job], req.user);
+
       res.status(200).json({
         status: 'success',
-        data: job
+        data
       });
 
     } catch (error) {
@@ -161,9 +319,26 @@ class JobController {
       // The ownership check and job retrieval are handled by the `checkJobOwnership` middleware.
       // The job document is attached to req.job, preventing a redundant database call.
       const job = req.job;
-      Object.assign(job, req.body);
+
+      // Ownership, moderation, lifecycle state, the pipeline and reviewers can't be changed through this endpoint
+      const {
+        employerId, moderation, status, isActive, publishedAt, closedAt, pipeline, reviewers, invitedReviewers, ...updates
+      } = req.body;
+
+      Object.assign(job, resolveJobLocationFields(updates));
+      const requirementsChanged = MATCH_FIELDS.some(field => job.isModified(field));
       const updatedJob = await job.save();
 
+      // Re-rank existing applications against the new requirements
+      if (requirementsChanged) {
+        try {
+          await queueService.recomputeMatchScores(job._id);
+        } catch (queueError) {
+          // Log error but don't fail the request
+          console.error('Error enqueueing match score recompute:', queueError);
+        }
+      }
+
       res.status(200).json({
         status: 'success',
         message: 'Job updated successfully',
@@ -172,6 +347,215 @@ class JobController {
 
     } catch (error) {
       console.error('Update job error:', error);
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ status: 'error', message: error.message });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Move a job through its lifecycle (publish, schedule, pause, close)
+  // @route   PATCH /api/jobs/:id/status
+  // @access  Private (Employer)
+  async updateJobStatus(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const job = req.job;
+      const { status, publishAt, closeAt } = req.body;
+
+      if (!job.canTransitionTo(status)) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Cannot change job status from ${job.status} to ${status}`,
+          allowedStatuses: Job.STATUS_TRANSITIONS[job.status]
+        });
+      }
+
+      if (status === 'published' && job.moderation && job.moderation.takenDown) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'This job was taken down by a moderator and cannot be published'
+        });
+      }
+
+      if (publishAt !== undefined) job.publishAt = publishAt;
+      if (closeAt !== undefined) job.closeAt = closeAt;
+
+      if (status === 'published' && job.closeAt && job.closeAt <= new Date()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Close time is in the past. Set a later closeAt to publish this job.'
+        });
+      }
+
+      job.status = status;
+      const updatedJob = await job.save();
+
+      res.status(200).json({
+        status: 'success',
+        message: `Job ${status}`,
+        data: updatedJob
+      });
+
+    } catch (error) {
+      console.error('Update job status error:', error);
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ status: 'error', message: error.message });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Set the job's review team. Accounts not yet on the team are invited and get no
+  //          access to applications until they accept; accounts left out lose access.
+  // @route   PUT /api/jobs/:id/reviewers
+  // @access  Private (Employer who posted the job)
+  async updateJobReviewers(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const emails = [...new Set(req.body.emails)];
+      const accounts = await User.find({ email: { $in: emails }, role: 'employer', isActive: true }).select('email firstName lastName');
+
+      const found = new Set(accounts.map(account => account.email));
+      const unknown = emails.filter(email => !found.has(email));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Reviewers must have active employer accounts',
+          unknownEmails: unknown
+        });
+      }
+
+      const job = req.job;
+      const isIn = (list, account) => list.some(id => id.equals(account._id));
+      const teammates = accounts.filter(account => !account._id.equals(job.employerId));
+      const reviewers = teammates.filter(account => isIn(job.reviewers, account));
+      const invited = teammates.filter(account => !isIn(job.reviewers, account));
+      const newlyInvited = invited.filter(account => !isIn(job.invitedReviewers, account));
+
+      job.reviewers = reviewers.map(account => account._id);
+      job.invitedReviewers = invited.map(account => account._id);
+      await job.save();
+
+      // Enqueue invitation emails (non-blocking)
+      try {
+        const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+        for (const account of newlyInvited) {
+          await queueService.sendReviewerInvitation({
+            email: account.email,
+            firstName: account.firstName,
+            inviterName: `${req.user.firstName} ${req.user.lastName}`,
+            jobTitle: job.title,
+            company: job.company,
+            invitationsUrl: `${clientUrl}/review-invitations`
+          });
+        }
+      } catch (queueError) {
+        // Log error but don't fail the request
+        console.error('Error enqueueing reviewer invitations:', queueError);
+      }
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Reviewers updated successfully',
+        data: { reviewers, invited }
+      });
+
+    } catch (error) {
+      console.error('Update job reviewers error:', error);
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    List jobs the employer has been invited to review
+  // @route   GET /api/jobs/review-invitations
+  // @access  Private (Employer)
+  async getReviewInvitations(req, res) {
+    try {
+      const jobs = await Job.find({ invitedReviewers: req.user.userId })
+        .select('title company status employerId')
+        .populate('employerId', 'firstName lastName companyName')
+        .sort({ updatedAt: -1 });
+
+      res.status(200).json({
+        status: 'success',
+        results: jobs.length,
+        data: jobs
+      });
+
+    } catch (error) {
+      console.error('Get review invitations error:', error);
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Accept an invitation to review a job's applications
+  // @route   POST /api/jobs/:id/reviewers/accept
+  // @access  Private (Invited employer)
+  async acceptReviewInvitation(req, res) {
+    try {
+      const job = await Job.findOneAndUpdate(
+        { _id: req.params.id, invitedReviewers: req.user.userId },
+        { $pull: { invitedReviewers: req.user.userId }, $addToSet: { reviewers: req.user.userId } },
+        { new: true }
+      ).select('title company');
+
+      if (!job) {
+        return res.status(404).json({ status: 'error', message: 'Review invitation not found' });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        message: 'You are now a reviewer for this job',
+        data: job
+      });
+
+    } catch (error) {
+      console.error('Accept review invitation error:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'Review invitation not found' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Decline an invitation to review a job, or leave its review team
+  // @route   DELETE /api/jobs/:id/reviewers/me
+  // @access  Private (Invited employer or reviewer)
+  async leaveReviewTeam(req, res) {
+    try {
+      const job = await Job.findOneAndUpdate(
+        { _id: req.params.id, $or: [{ invitedReviewers: req.user.userId }, { reviewers: req.user.userId }] },
+        { $pull: { invitedReviewers: req.user.userId, reviewers: req.user.userId } }
+      );
+
+      if (!job) {
+        return res.status(404).json({ status: 'error', message: 'Review invitation not found' });
+      }
+
+      res.status(200).json({ status: 'success', message: 'You are no longer a reviewer for this job' });
+
+    } catch (error) {
+      console.error('Leave review team error:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'Review invitation not found' });
+      }
       res.status(500).json({ status: 'error', message: 'Internal server error' });
     }
   }
@@ -185,6 +569,7 @@ class JobController {
       // We use the attached req.job to perform the deletion, preventing a redundant database call.
 
       await req.job.deleteOne();
+      await Bookmark.deleteMany({ jobId: req.job._id });
 
       res.status(200).json({ status: 'success', message: 'Job deleted successfully' });
 
@@ -194,16 +579,31 @@ class JobController {
     }
   }
 
-  // @desc    Get all jobs posted by the logged-in employer
+  // @desc    Get all jobs posted by the logged-in employer, optionally by status
   // @route   GET /api/jobs/my-jobs
   // @access  Private (Employer)
   async getJobsByEmployer(req, res) {
     try {
-      const jobs = await Job.find({ employerId: req.user.userId }).sort({ createdAt: -1 });
+      const { limit, after, includeTotal, error } = parsePagination(req.query, NEWEST_FIRST);
+      if (error) {
+        return res.status(400).json({ status: 'error', message: error });
+      }
+
+      const query = { employerId: req.user.userId };
+      if (req.query.status) query.status = req.query.status;
+
+      const [results, total] = await Promise.all([
+        Job.find(applyCursor(query, NEWEST_FIRST, after))
+          .sort(Object.fromEntries(NEWEST_FIRST))
+          .limit(limit + 1),
+        includeTotal ? Job.countDocuments(query) : undefined
+      ]);
+      const { items: jobs, pagination } = buildPage(results, { limit, sort: NEWEST_FIRST, total });
 
       res.status(200).json({
         status: 'success',
         results: jobs.length,
+        pagination,
         data: jobs
       });
 
@@ -0,0 +1,219 @@
+const { validationResult } = require('express-validator');
+const Application = require('../models/application');
+const PipelineTemplate = require('../models/pipeline_template');
+const pipelineService = require('../services/pipeline_service');
+const { STAGE_CATEGORIES, WITHDRAWN, normalizeStages, validatePipeline } = require('../utils/pipeline');
+
+class PipelineController {
+
+  // @desc    Save a reusable pipeline template
+  // @route   POST /api/pipeline-templates
+  // @access  Private (Employer)
+  async createTemplate(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const stages = normalizeStages(req.body.stages);
+      const pipelineError = validatePipeline(stages);
+      if (pipelineError) {
+        return res.status(400).json({ status: 'error', message: pipelineError });
+      }
+
+      const template = new PipelineTemplate({
+        employerId: req.user.userId,
+        name: req.body.name,
+        stages
+      });
+
+      await template.save();
+
+      res.status(201).json({
+        status: 'success',
+        message: 'Pipeline template created successfully',
+        data: template
+      });
+
+    } catch (error) {
+      console.error('Create pipeline template error:', error);
+      if (error.code === 11000) {
+        return res.status(400).json({ status: 'error', message: 'You already have a template with this name' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    List the employer's pipeline templates
+  // @route   GET /api/pipeline-templates
+  // @access  Private (Employer)
+  async getTemplates(req, res) {
+    try {
+      const templates = await PipelineTemplate.find({ employerId: req.user.userId }).sort({ name: 1 });
+
+      res.status(200).json({
+        status: 'success',
+        results: templates.length,
+        data: templates
+      });
+
+    } catch (error) {
+      console.error('Get pipeline templates error:', error);
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Rename a template or change its stages. Jobs already created from it keep their own copy.
+  // @route   PUT /api/pipeline-templates/:id
+  // @access  Private (Employer)
+  async updateTemplate(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const template = await PipelineTemplate.findOne({ _id: req.params.id, employerId: req.user.userId });
+      if (!template) {
+        return res.status(404).json({ status: 'error', message: 'Pipeline template not found' });
+      }
+
+      if (req.body.stages !== undefined) {
+        const stages = normalizeStages(req.body.stages);
+        const pipelineError = validatePipeline(stages);
+        if (pipelineError) {
+          return res.status(400).json({ status: 'error', message: pipelineError });
+        }
+        template.stages = stages;
+      }
+
+      if (req.body.name !== undefined) template.name = req.body.name;
+
+      await template.save();
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Pipeline template updated successfully',
+        data: template
+      });
+
+    } catch (error) {
+      console.error('Update pipeline template error:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'Pipeline template not found' });
+      }
+      if (error.code === 11000) {
+        return res.status(400).json({ status: 'error', message: 'You already have a template with this name' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Delete a pipeline template
+  // @route   DELETE /api/pipeline-templates/:id
+  // @access  Private (Employer)
+  async deleteTemplate(req, res) {
+    try {
+      const template = await PipelineTemplate.findOneAndDelete({ _id: req.params.id, employerId: req.user.userId });
+      if (!template) {
+        return res.status(404).json({ status: 'error', message: 'Pipeline template not found' });
+      }
+
+      res.status(200).json({ status: 'success', message: 'Pipeline template deleted successfully' });
+
+    } catch (error) {
+      console.error('Delete pipeline template error:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'Pipeline template not found' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Get a job's pipeline with application counts per stage and per category
+  // @route   GET /api/jobs/:id/pipeline
+  // @access  Private (Employer)
+  async getJobPipeline(req, res) {
+    try {
+      const job = req.job;
+
+      const counts = await Application.aggregate([
+        { $match: { job: job._id } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]);
+      const countByStatus = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+      const stages = job.pipeline.map(stage => ({ ...stage.toObject(), count: countByStatus.get(stage.key) || 0 }));
+      const categories = Object.fromEntries([...STAGE_CATEGORIES, WITHDRAWN].map(category => [category, 0]));
+      stages.forEach((stage) => { categories[stage.category] += stage.count; });
+      categories[WITHDRAWN] = countByStatus.get(WITHDRAWN) || 0;
+
+      res.status(200).json({
+        status: 'success',
+        data: { stages, categories }
+      });
+
+    } catch (error) {
+      console.error('Get job pipeline error:', error);
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Replace a job's pipeline with new stages or a template, moving applications
+  //          out of dropped stages with stageMapping
+  // @route   PUT /api/jobs/:id/pipeline
+  // @access  Private (Employer)
+  async updateJobPipeline(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { stages, error } = await pipelineService.resolveStages(
+        { stages: req.body.stages, templateId: req.body.templateId },
+        req.user.userId
+      );
+      if (error) {
+        return res.status(400).json({ status: 'error', message: error });
+      }
+
+      const result = await pipelineService.changeJobPipeline(req.job, stages, req.body.stageMapping, req.user.userId);
+      if (result.error) {
+        return res.status(400).json({
+          status: 'error',
+          message: result.error,
+          unmappedStages: result.unmappedStages
+        });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        message: `Pipeline updated; ${result.moved} applications moved to new stages`,
+        data: result.job.pipeline
+      });
+
+    } catch (error) {
+      console.error('Update job pipeline error:', error);
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ status: 'error', message: error.message });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+}
+
+module.exports = new PipelineController();
@@ -0,0 +1,177 @@
+const Job = require('../models/job');
+const User = require('../models/user');
+const Application = require('../models/application');
+const JobDismissal = require('../models/job_dismissal');
+const geocodingService = require('../services/geocoding_service');
+const escapeRegex = require('../utils/escape_regex');
+const { buildJobSearchFilter } = require('../utils/job_search');
+const { compareSkills, experienceFit, weightedScore } = require('../utils/matching');
+
+// How many open jobs are scored per request: those sharing a skill, plus the newest others
+const MAX_SKILL_CANDIDATES = 500;
+const MAX_RECENT_CANDIDATES = 100;
+
+const WEIGHTS = { skills: 0.6, experience: 0.2, location: 0.2 };
+
+// Fields returned for each recommended job
+const JOB_FIELDS = 'title company location workMode remoteCountries salary jobType experienceLevel skillsRequired applicationDeadline publishedAt employerId';
+
+/**
+ * 0-1 fit of a job's place and work mode with the applicant's preferences
+ * @returns {number|null} null when the applicant has no preferences
+ */
+const locationFit = (job, user) => {
+  const preferred = user.preferredLocation || {};
+  const workModes = user.preferredWorkModes || [];
+  const hasPlace = Boolean(preferred.city || preferred.country);
+  if (!hasPlace && workModes.length === 0) return null;
+
+  if (workModes.length > 0 && !workModes.includes(job.workMode)) return 0;
+
+  if (job.workMode === 'remote') {
+    const countries = job.remoteCountries || [];
+    return !preferred.country || countries.length === 0 || countries.includes(preferred.country) ? 1 : 0;
+  }
+  if (!hasPlace) return 1;
+
+  const jobLocation = job.location || {};
+  const hasPoint = point => Boolean(point && point.coordinates && point.coordinates.length === 2);
+  if (hasPoint(preferred.point) && hasPoint(jobLocation.point)) {
+    const distance = geocodingService.distanceKm(preferred.point, jobLocation.point);
+    if (distance <= 30) return 1;
+    if (distance <= 100) return 0.6;
+  }
+  if (preferred.city && jobLocation.city && preferred.city.toLowerCase() === jobLocation.city.toLowerCase()) return 1;
+  if (preferred.country && jobLocation.country === preferred.country) return 0.4;
+  return 0;
+};
+
+// Score a job for an applicant and explain the result
+const scoreJob = (job, user) => {
+  const skills = compareSkills(job.skillsRequired, user.skills);
+  const experience = experienceFit(user.experience, job.experienceLevel);
+  const location = locationFit(job, user);
+
+  const reasons = [];
+  if (skills.matched.length > 0) {
+    reasons.push(`Matches ${skills.matched.length} of ${job.skillsRequired.length} required skills`);
+  }
+  if (experience === 1) reasons.push(`Fits your ${user.experience} years of experience`);
+  if (location === 1) reasons.push(job.workMode === 'remote' ? 'Remote, as you prefer' : 'In your preferred location');
+
+  return {
+    score: weightedScore([
+      { value: skills.score, weight: WEIGHTS.skills },
+      { value: experience, weight: WEIGHTS.experience },
+      { value: location, weight: WEIGHTS.location }
+    ]),
+    matchedSkills: skills.matched,
+    missingSkills: skills.missing,
+    reasons
+  };
+};
+
+class RecommendationController {
+
+  // @desc    Get open jobs ranked for the logged-in applicant
+  // @route   GET /api/jobs/recommended
+  // @access  Private (Applicant)
+  async getRecommendedJobs(req, res) {
+    try {
+      const userId = req.user.userId;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+
+      const [user, appliedJobIds, dismissedJobIds] = await Promise.all([
+        User.findById(userId).select('skills experience preferredLocation preferredWorkModes'),
+        Application.distinct('job', { applicant: userId }),
+        JobDismissal.distinct('jobId', { userId })
+      ]);
+      if (!user) {
+        return res.status(404).json({ status: 'error', message: 'User not found' });
+      }
+
+      // Open jobs the applicant hasn't applied to or dismissed
+      const { filter } = buildJobSearchFilter({});
+      const candidateFilter = { ...filter, _id: { $nin: [...appliedJobIds, ...dismissedJobIds] } };
+
+      const [skillMatches, recentJobs] = await Promise.all([
+        user.skills.length > 0
+          ? Job.find({
+            ...candidateFilter,
+            skillsRequired: { $in: user.skills.map(skill => new RegExp(`^${escapeRegex(skill.trim())}$`, 'i')) }
+          }).select(JOB_FIELDS).sort({ publishedAt: -1 }).limit(MAX_SKILL_CANDIDATES)
+          : [],
+        Job.find(candidateFilter).select(JOB_FIELDS).sort({ publishedAt: -1 }).limit(MAX_RECENT_CANDIDATES)
+      ]);
+
+      const candidates = new Map([...skillMatches, ...recentJobs].map(job => [job._id.toString(), job]));
+
+      const ranked = [...candidates.values()]
+        .map(job => ({ job, ...scoreJob(job, user) }))
+        .sort((a, b) => b.score - a.score || (b.job.publishedAt || 0) - (a.job.publishedAt || 0))
+        .slice(0, limit);
+
+      await Job.populate(ranked.map(entry => entry.job), { path: 'employerId', select: 'companyName profilePicture' });
+
+      res.status(200).json({
+        status: 'success',
+        results: ranked.length,
+        data: ranked
+      });
+
+    } catch (error) {
+      console.error('Get recommended jobs error:', error);
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Stop recommending a job to the applicant
+  // @route   POST /api/jobs/:id/dismiss
+  // @access  Private (Applicant)
+  async dismissJob(req, res) {
+    try {
+      const job = await Job.findById(req.params.id).select('_id');
+      if (!job) {
+        return res.status(404).json({ status: 'error', message: 'Job not found' });
+      }
+
+      await JobDismissal.updateOne(
+        { userId: req.user.userId, jobId: job._id },
+        { $setOnInsert: { userId: req.user.userId, jobId: job._id } },
+        { upsert: true }
+      );
+
+      res.status(200).json({ status: 'success', message: 'Job will no longer be recommended' });
+
+    } catch (error) {
+      console.error('Dismiss job error:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'Job not found' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Undo dismissing a job
+  // @route   DELETE /api/jobs/:id/dismiss
+  // @access  Private (Applicant)
+  async undismissJob(req, res) {
+    try {
+      const dismissal = await JobDismissal.findOneAndDelete({ userId: req.user.userId, jobId: req.params.id });
+      if (!dismissal) {
+        return res.status(404).json({ status: 'error', message: 'Job was not dismissed' });
+      }
+
+      res.status(200).json({ status: 'success', message: 'Job can be recommended again' });
+
+    } catch (error) {
+      console.error('Undismiss job error:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'Job was not dismissed' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+}
+
+module.exports = new RecommendationController();
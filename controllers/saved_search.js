@@ -0,0 +1,206 @@
+const { validationResult } = require('express-validator');
+const SavedSearch = require('../models/saved_search');
+const tokenService = require('../services/token_service');
+const { SEARCH_PARAMS, buildJobSearchFilter } = require('../utils/job_search');
+
+const MAX_SAVED_SEARCHES = parseInt(process.env.MAX_SAVED_SEARCHES, 10) || 25;
+
+// Keep only job search parameters and check they form a valid search
+const pickSearchQuery = (raw = {}) => {
+  const query = {};
+  for (const param of SEARCH_PARAMS) {
+    if (raw[param] !== undefined && raw[param] !== null && raw[param] !== '') {
+      query[param] = typeof raw[param] === 'boolean' ? String(raw[param]) : raw[param];
+    }
+  }
+
+  const { error } = buildJobSearchFilter(query);
+  return { query, error };
+};
+
+class SavedSearchController {
+
+  // @desc    Save a job search with alert settings
+  // @route   POST /api/saved-searches
+  // @access  Private (Applicant)
+  async createSavedSearch(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { query, error } = pickSearchQuery(req.body.query);
+      if (error) {
+        return res.status(400).json({ status: 'error', message: error });
+      }
+
+      const count = await SavedSearch.countDocuments({ userId: req.user.userId });
+      if (count >= MAX_SAVED_SEARCHES) {
+        return res.status(400).json({
+          status: 'error',
+          message: `You can save at most ${MAX_SAVED_SEARCHES} searches. Delete one to add another.`
+        });
+      }
+
+      const savedSearch = new SavedSearch({
+        userId: req.user.userId,
+        name: req.body.name,
+        query,
+        frequency: req.body.frequency,
+        alertsEnabled: req.body.alertsEnabled
+      });
+
+      await savedSearch.save();
+
+      res.status(201).json({
+        status: 'success',
+        message: 'Search saved successfully',
+        data: savedSearch
+      });
+
+    } catch (error) {
+      console.error('Create saved search error:', error);
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    List the user's saved searches
+  // @route   GET /api/saved-searches
+  // @access  Private (Applicant)
+  async getSavedSearches(req, res) {
+    try {
+      const savedSearches = await SavedSearch.find({ userId: req.user.userId }).sort({ createdAt: -1 });
+
+      res.status(200).json({
+        status: 'success',
+        results: savedSearches.length,
+        data: savedSearches
+      });
+
+    } catch (error) {
+      console.error('Get saved searches error:', error);
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Change a saved search's name, query or alert settings
+  // @route   PATCH /api/saved-searches/:id
+  // @access  Private (Applicant)
+  async updateSavedSearch(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const savedSearch = await SavedSearch.findOne({ _id: req.params.id, userId: req.user.userId });
+      if (!savedSearch) {
+        return res.status(404).json({ status: 'error', message: 'Saved search not found' });
+      }
+
+      if (req.body.query !== undefined) {
+        const { query, error } = pickSearchQuery(req.body.query);
+        if (error) {
+          return res.status(400).json({ status: 'error', message: error });
+        }
+        savedSearch.query = query;
+      }
+
+      if (req.body.name !== undefined) savedSearch.name = req.body.name;
+      if (req.body.frequency !== undefined) savedSearch.frequency = req.body.frequency;
+      if (req.body.alertsEnabled !== undefined) {
+        // Turning alerts back on shouldn't send everything posted while they were off
+        if (req.body.alertsEnabled && !savedSearch.alertsEnabled) savedSearch.lastAlertedAt = new Date();
+        savedSearch.alertsEnabled = req.body.alertsEnabled;
+      }
+
+      await savedSearch.save();
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Saved search updated successfully',
+        data: savedSearch
+      });
+
+    } catch (error) {
+      console.error('Update saved search error:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'Saved search not found' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Delete a saved search
+  // @route   DELETE /api/saved-searches/:id
+  // @access  Private (Applicant)
+  async deleteSavedSearch(req, res) {
+    try {
+      const savedSearch = await SavedSearch.findOneAndDelete({ _id: req.params.id, userId: req.user.userId });
+      if (!savedSearch) {
+        return res.status(404).json({ status: 'error', message: 'Saved search not found' });
+      }
+
+      res.status(200).json({ status: 'success', message: 'Saved search deleted successfully' });
+
+    } catch (error) {
+      console.error('Delete saved search error:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'Saved search not found' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Turn off alerts for a saved search from the link in an alert email
+  // @route   POST /api/saved-searches/unsubscribe
+  // @access  Public (signed token)
+  async unsubscribe(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      let decoded;
+      try {
+        decoded = tokenService.verifyAlertUnsubscribeToken(req.body.token);
+      } catch (error) {
+        return res.status(400).json({ status: 'error', message: 'Invalid or expired unsubscribe link' });
+      }
+
+      // A deleted search gets no more alerts either, so the link still succeeds
+      const savedSearch = await SavedSearch.findByIdAndUpdate(
+        decoded.savedSearchId,
+        { alertsEnabled: false },
+        { new: true }
+      );
+
+      res.status(200).json({
+        status: 'success',
+        message: savedSearch
+          ? `You will no longer receive alerts for "${savedSearch.name}"`
+          : 'You will no longer receive these alerts'
+      });
+
+    } catch (error) {
+      console.error('Unsubscribe from alerts error:', error);
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+}
+
+module.exports = new SavedSearchController();
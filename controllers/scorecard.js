@@ -0,0 +1,154 @@
+const { validationResult } = require('express-validator');
+const Application = require('../models/application');
+const Scorecard = require('../models/scorecard');
+const scorecardService = require('../services/scorecard_service');
+
+// Load an application the user may review, or the error to send back
+const loadReviewableApplication = async (applicationId, userId) => {
+  const application = await Application.findById(applicationId).populate('job', 'employerId reviewers');
+
+  if (!application) {
+    return { status: 404, message: 'Application not found' };
+  }
+  if (!application.job) {
+    return { status: 404, message: 'Application data is incomplete. The associated job may have been deleted.' };
+  }
+  if (!application.job.canReview(userId)) {
+    return { status: 403, message: 'You are not a reviewer for this job' };
+  }
+
+  return { application };
+};
+
+class ScorecardController {
+
+  // @desc    Submit or update the current reviewer's scorecard for an application
+  // @route   PUT /api/applications/:id/scorecard
+  // @access  Private (Employer who posted the job or a reviewer)
+  async submitScorecard(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { application, status, message } = await loadReviewableApplication(req.params.id, req.user.userId);
+      if (!application) {
+        return res.status(status).json({ status: 'error', message });
+      }
+
+      const { criteria, recommendation, comments } = req.body;
+      const scorecard = await Scorecard.findOneAndUpdate(
+        { application: application._id, reviewer: req.user.userId },
+        {
+          $set: { criteria: criteria || [], recommendation, comments },
+          $setOnInsert: { job: application.job._id }
+        },
+        { new: true, upsert: true, runValidators: true }
+      );
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Scorecard saved successfully',
+        data: scorecard
+      });
+
+    } catch (error) {
+      console.error('Submit scorecard error:', error);
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ status: 'error', message: error.message });
+      }
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'Application not found' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Delete the current reviewer's scorecard for an application
+  // @route   DELETE /api/applications/:id/scorecard
+  // @access  Private (Employer who posted the job or a reviewer)
+  async deleteScorecard(req, res) {
+    try {
+      const scorecard = await Scorecard.findOneAndDelete({ application: req.params.id, reviewer: req.user.userId });
+      if (!scorecard) {
+        return res.status(404).json({ status: 'error', message: 'Scorecard not found' });
+      }
+
+      res.status(200).json({ status: 'success', message: 'Scorecard deleted successfully' });
+
+    } catch (error) {
+      console.error('Delete scorecard error:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'Scorecard not found' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Get every reviewer's scorecard for an application, with a combined summary
+  // @route   GET /api/applications/:id/scorecards
+  // @access  Private (Employer who posted the job or a reviewer)
+  async getApplicationScorecards(req, res) {
+    try {
+      const { application, status, message } = await loadReviewableApplication(req.params.id, req.user.userId);
+      if (!application) {
+        return res.status(status).json({ status: 'error', message });
+      }
+
+      const scorecards = await Scorecard.find({ application: application._id })
+        .populate('reviewer', 'firstName lastName email')
+        .sort({ updatedAt: -1 });
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          summary: scorecardService.summarize(scorecards),
+          scorecards
+        }
+      });
+
+    } catch (error) {
+      console.error('Get application scorecards error:', error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ status: 'error', message: 'Application not found' });
+      }
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+
+  // @desc    Get scorecard summaries for every reviewed application to a job, strongest first
+  // @route   GET /api/jobs/:id/scorecards
+  // @access  Private (Employer who posted the job or a reviewer)
+  async getJobScorecards(req, res) {
+    try {
+      const job = req.job;
+
+      const summaries = await scorecardService.summarizeJob(job._id);
+      const applications = await Application.find({ _id: { $in: summaries.map(summary => summary.application) } })
+        .select('applicant status match.score')
+        .populate('applicant', 'firstName lastName');
+      const applicationsById = new Map(applications.map(application => [application._id.toString(), application]));
+
+      const data = summaries
+        .filter(summary => applicationsById.has(summary.application))
+        .map(summary => ({ ...summary, application: applicationsById.get(summary.application) }));
+
+      res.status(200).json({
+        status: 'success',
+        results: data.length,
+        data
+      });
+
+    } catch (error) {
+      console.error('Get job scorecards error:', error);
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  }
+}
+
+module.exports = new ScorecardController();
@@ -1,5 +1,6 @@
 const { validationResult } = require('express-validator');
 const User = require('../models/user');
+const geocodingService = require('../services/geocoding_service');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -34,7 +35,9 @@ class UserController {
             ...(user.role === 'applicant' && {
               resume: user.resume,
               skills: user.skills,
-              experience: user.experience
+              experience: user.experience,
+              preferredLocation: user.preferredLocation,
+              preferredWorkModes: user.preferredWorkModes
             }),
             // Employer specific fields
             ...(user.role === 'employer' && {
@@ -80,7 +83,7 @@ class UserController {
       
       // Role-specific fields
       if (user.role === 'applicant') {
-        allowedUpdates.push('skills', 'experience');
+        allowedUpdates.push('skills', 'experience', 'preferredLocation', 'preferredWorkModes');
       } else if (user.role === 'employer') {
         allowedUpdates.push('companyName', 'companyDescription', 'website');
       }
@@ -100,6 +103,11 @@ class UserController {
           : req.body.skills.split(',').map(skill => skill.trim()).filter(skill => skill !== '');
       }
 
+      // Preferred location is stored structured, like job locations
+      if (user.role === 'applicant' && req.body.preferredLocation !== undefined) {
+        updates.preferredLocation = geocodingService.resolveLocation(req.body.preferredLocation);
+      }
+
       // Update user
       const updatedUser = await User.findByIdAndUpdate(
         req.user.userId,
@@ -126,7 +134,9 @@ class UserController {
             ...(updatedUser.role === 'applicant' && {
               resume: updatedUser.resume,
               skills: updatedUser.skills,
-              experience: updatedUser.experience
+              experience: updatedUser.experience,
+              preferredLocation: updatedUser.preferredLocation,
+              preferredWorkModes: updatedUser.preferredWorkModes
             }),
             // Employer specific fields
             ...(updatedUser.role === 'employer' && {
@@ -1,12 +1,65 @@
 const tokenService = require('../services/token_service');
 const User = require('../models/user');
+const ApiKey = require('../models/api_key');
+const { hasRequiredScope, sendMissingScope } = require('./role');
 
-// Middleware to verify JWT token
+// Authenticate an employer integration by API key (sent as X-API-Key or as a Bearer token)
+const authenticateApiKey = async (req, res, next, rawKey) => {
+  const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(rawKey) });
+  if (!apiKey || !apiKey.isUsable()) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Invalid, expired or revoked API key'
+    });
+  }
+
+  req.apiKey = {
+    id: apiKey._id,
+    scopes: apiKey.scopes
+  };
+
+  // Keys only reach the endpoints their scopes cover
+  if (!hasRequiredScope(req)) {
+    return sendMissingScope(req, res);
+  }
+
+  const user = await User.findById(apiKey.employerId);
+  if (!user || !user.isActive || user.role !== 'employer') {
+    return res.status(401).json({
+      status: 'error',
+      message: 'API key owner is no longer active'
+    });
+  }
+
+  req.user = {
+    userId: user._id,
+    email: user.email,
+    role: user.role,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    isEmailVerified: user.isEmailVerified
+  };
+
+  // Record usage, at most once a minute per key
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > 60 * 1000) {
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() })
+      .catch(error => console.error('Error recording API key usage:', error));
+  }
+
+  next();
+};
+
+// Middleware to verify JWT token (or employer API key)
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     const token = tokenService.extractTokenFromHeader(authHeader);
 
+    const rawApiKey = req.headers['x-api-key'] || (token && token.startsWith('jb_') ? token : null);
+    if (rawApiKey) {
+      return await authenticateApiKey(req, res, next, rawApiKey);
+    }
+
     if (!token) {
       return res.status(401).json({
         status: 'error',
@@ -15,7 +68,7 @@ const authenticateToken = async (req, res, next) => {
     }
 
     // Verify token
-    const decoded = tokenService.verifyAccessToken(token);
+    const decoded = await tokenService.verifyAccessToken(token);
     
     // Get user from database
     const user = await User.findById(decoded.userId);
@@ -34,13 +87,23 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Reject tokens issued before an admin force-logout
+    if (user.sessionsRevokedAt && decoded.iat < Math.floor(user.sessionsRevokedAt.getTime() / 1000)) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Session has been revoked. Please log in again.'
+      });
+    }
+
     // Add user info to request
     req.user = {
       userId: user._id,
       email: user.email,
       role: user.role,
       firstName: user.firstName,
-      lastName: user.lastName
+      lastName: user.lastName,
+      isEmailVerified: user.isEmailVerified,
+      sessionId: decoded.sid
     };
 
     next();
@@ -72,17 +135,20 @@ const optionalAuth = async (req, res, next) => {
     }
 
     // Verify token
-    const decoded = tokenService.verifyAccessToken(token);
+    const decoded = await tokenService.verifyAccessToken(token);
     
     // Get user from database
     const user = await User.findById(decoded.userId);
-    if (user && user.isActive) {
+    const isRevoked = user && user.sessionsRevokedAt && decoded.iat < Math.floor(user.sessionsRevokedAt.getTime() / 1000);
+    if (user && user.isActive && !isRevoked) {
       req.user = {
         userId: user._id,
         email: user.email,
         role: user.role,
         firstName: user.firstName,
-        lastName: user.lastName
+        lastName: user.lastName,
+        isEmailVerified: user.isEmailVerified,
+        sessionId: decoded.sid
       };
     }
 
@@ -93,7 +159,25 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Middleware to block unverified accounts from actions that reach other users.
+// Enforced unless REQUIRE_EMAIL_VERIFICATION is set to 'false'.
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'false') {
+    return next();
+  }
+
+  if (req.user && req.user.isEmailVerified) {
+    return next();
+  }
+
+  return res.status(403).json({
+    status: 'error',
+    message: 'Please verify your email address before performing this action'
+  });
+};
+
 module.exports = {
   authenticateToken,
-  optionalAuth
+  optionalAuth,
+  requireVerifiedEmail
 };
\ No newline at end of file
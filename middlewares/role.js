@@ -1,5 +1,48 @@
 const Job = require('../models/job');
 
+// Resources an API key can reach, by router mount path
+const API_KEY_RESOURCES = {
+  '/api/jobs': 'jobs',
+  '/api/applications': 'applications'
+};
+
+// Scope an API key needs for this request (e.g. 'jobs:read' for GET /api/jobs),
+// or null when the endpoint is not available to API keys at all
+const getRequiredScope = (req) => {
+  const resource = API_KEY_RESOURCES[req.baseUrl];
+  if (!resource) return null;
+  return `${resource}:${req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'write'}`;
+};
+
+// Requests made with a user's own token always pass; API key requests need the matching scope
+const hasRequiredScope = (req) => {
+  if (!req.apiKey) return true;
+  const scope = getRequiredScope(req);
+  return Boolean(scope) && req.apiKey.scopes.includes(scope);
+};
+
+const sendMissingScope = (req, res) => {
+  const scope = getRequiredScope(req);
+  return res.status(403).json({
+    status: 'error',
+    message: scope
+      ? `Forbidden: This API key is missing the required scope: ${scope}.`
+      : 'Forbidden: This endpoint cannot be used with an API key.'
+  });
+};
+
+// Middleware for endpoints that only the account owner may use, even where the router
+// otherwise accepts API keys (e.g. granting other accounts access to a job)
+const rejectApiKey = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Forbidden: This endpoint cannot be used with an API key.'
+    });
+  }
+  next();
+};
+
 // Generic middleware factory to check for required roles
 const requireRole = (allowedRoles) => {
   // Convert single role to an array if needed
@@ -7,6 +50,9 @@ const requireRole = (allowedRoles) => {
 
   return (req, res, next) => {
     if (req.user && roles.includes(req.user.role)) {
+      if (!hasRequiredScope(req)) {
+        return sendMissingScope(req, res);
+      }
       return next();
     }
     res.status(403).json({
@@ -18,6 +64,10 @@ const requireRole = (allowedRoles) => {
 
 // Middleware to check if the logged-in user is the owner of a specific job
 const checkJobOwnership = async (req, res, next) => {
+  if (!hasRequiredScope(req)) {
+    return sendMissingScope(req, res);
+  }
+
   try {
     const job = await Job.findById(req.params.id);
 
@@ -38,8 +88,38 @@ const checkJobOwnership = async (req, res, next) => {
   }
 };
 
+// Middleware to check if the logged-in user is the job's owner or one of its reviewers
+const checkJobReviewer = async (req, res, next) => {
+  if (!hasRequiredScope(req)) {
+    return sendMissingScope(req, res);
+  }
+
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ status: 'error', message: 'Job not found' });
+    }
+
+    if (!job.canReview(req.user.userId)) {
+      return res.status(403).json({ status: 'error', message: 'Forbidden: You are not a reviewer for this job.' });
+    }
+
+    req.job = job;
+    next();
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: 'Internal server error' });
+  }
+};
+
 module.exports = {
   requireApplicant: requireRole('applicant'),
   requireEmployer: requireRole('employer'),
-  checkJobOwnership
+  requireAdmin: requireRole('admin'),
+  checkJobOwnership,
+  checkJobReviewer,
+  rejectApiKey,
+  getRequiredScope,
+  hasRequiredScope,
+  sendMissingScope
 };
\ No newline at end of file
@@ -1,4 +1,35 @@
 const mongoose = require('mongoose');
+const { allowedTransitions, stageCategory } = require('../utils/pipeline');
+
+// One status change; the first entry (from: null) records the submission
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  // Who made the change; empty for automatic changes
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String,
+    enum: ['applicant', 'employer', 'system'],
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const applicationSchema = new mongoose.Schema({
   job: {
@@ -15,11 +46,65 @@ const applicationSchema = new mongoose.Schema({
     type: String,
     maxlength: [5000, 'Cover letter cannot exceed 5000 characters']
   },
+  // Answers to the job's screening questions, with the question text as asked
+  screeningAnswers: [{
+    _id: false,
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    question: String,
+    type: {
+      type: String
+    },
+    answer: mongoose.Schema.Types.Mixed,
+    knockedOut: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // Set when any answer failed a knockout question, whether or not it was auto-rejected
+  knockedOut: {
+    type: Boolean,
+    default: false
+  },
+  // How well the applicant fits the job, kept up to date when the job's requirements change
+  match: {
+    score: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    matchedSkills: [String],
+    missingSkills: [String],
+    experienceFit: Number,
+    screeningFit: Number,
+    computedAt: Date
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason cannot exceed 500 characters']
+  },
+  // Key of a stage in the job's pipeline, or withdrawn
   status: {
     type: String,
-    enum: ['pending', 'reviewed', 'shortlisted', 'interview', 'rejected', 'hired'],
-    default: 'pending'
+    required: true
   },
+  // Category of the current stage, kept for reporting across jobs
+  statusCategory: {
+    type: String,
+    enum: ['active', 'rejected', 'hired', 'withdrawn'],
+    default: 'active'
+  },
+  // When the current application was submitted. Re-applying after a withdrawal reuses the
+  // document, so this is reset while createdAt keeps the first submission.
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Every status change, oldest first
+  statusHistory: [statusChangeSchema],
   // This can be used by employers to leave notes about the application
   notes: {
     type: String,
@@ -29,12 +114,35 @@ const applicationSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Check whether an employer may move the application to a stage of the job's pipeline.
+// Withdrawing and re-applying are applicant actions and are checked where they happen.
+applicationSchema.methods.canTransitionTo = function(status, pipeline) {
+  return allowedTransitions(pipeline, this.status).includes(status);
+};
+
+/**
+ * Change status and record it in the history. Callers check the move is allowed first.
+ * @param {string} status - Stage key of the job's pipeline, or withdrawn
+ * @param {Array} pipeline - Job.pipeline
+ * @param {Object} change
+ * @param {string} change.actorRole - applicant, employer or system
+ * @param {string} [change.actor] - User ID
+ * @param {string} [change.reason] - Why the status changed
+ */
+applicationSchema.methods.changeStatus = function(status, pipeline, { actor, actorRole, reason }) {
+  this.statusHistory.push({ from: this.status, to: status, actor, actorRole, reason });
+  this.status = status;
+  this.statusCategory = stageCategory(pipeline, status);
+};
+
 // Indexes for performance
 applicationSchema.index({ job: 1 });
 applicationSchema.index({ applicant: 1 });
 applicationSchema.index({ status: 1 });
-// Compound index to prevent duplicate applications
+applicationSchema.index({ job: 1, statusCategory: 1 });
+applicationSchema.index({ job: 1, 'match.score': -1, _id: -1 });
+applicationSchema.index({ job: 1, appliedAt: -1, _id: -1 });
+// Compound index to prevent duplicate applications; re-applying reuses the withdrawn application
 applicationSchema.index({ job: 1, applicant: 1 }, { unique: true });
 
-
 module.exports = mongoose.model('Application', applicationSchema);
\ No newline at end of file
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const bookmarkSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  // Set once the deadline reminder has been queued, so it is only sent once
+  reminderSentAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One bookmark per user and job
+bookmarkSchema.index({ userId: 1, jobId: 1 }, { unique: true });
+bookmarkSchema.index({ userId: 1, createdAt: -1 });
+bookmarkSchema.index({ jobId: 1, reminderSentAt: 1 });
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
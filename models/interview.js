@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+// Whether a string is an IANA time zone like "Asia/Kolkata"
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// An interview on an application: the employer proposes slots and the applicant picks one
+const interviewSchema = new mongoose.Schema({
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  applicant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  employerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Start times the applicant can choose from
+  slots: {
+    type: [{
+      start: {
+        type: Date,
+        required: true
+      }
+    }],
+    validate: [slots => slots.length >= 1 && slots.length <= 10, 'Propose between 1 and 10 slots']
+  },
+  durationMinutes: {
+    type: Number,
+    required: [true, 'Duration is required'],
+    min: [15, 'Interviews last at least 15 minutes'],
+    max: [480, 'Interviews cannot last more than 8 hours']
+  },
+  // IANA time zone times are shown in, e.g. "Asia/Kolkata"
+  timezone: {
+    type: String,
+    required: [true, 'Time zone is required'],
+    validate: [isTimeZone, 'Unknown time zone']
+  },
+  // Address for in-person interviews
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Location cannot exceed 300 characters']
+  },
+  // Video call link for remote interviews
+  meetingUrl: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Meeting link cannot exceed 500 characters']
+  },
+  interviewers: [{
+    _id: false,
+    name: {
+      type: String,
+      trim: true,
+      required: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      required: true
+    }
+  }],
+  // proposed: waiting for the applicant to pick a slot
+  status: {
+    type: String,
+    enum: ['proposed', 'confirmed', 'cancelled'],
+    default: 'proposed'
+  },
+  scheduledAt: {
+    type: Date
+  },
+  // iCalendar SEQUENCE; bumped on every change so calendars replace the earlier invite
+  sequence: {
+    type: Number,
+    default: 0
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+  },
+  cancelledBy: {
+    type: String,
+    enum: ['applicant', 'employer']
+  },
+  // Set when the 24-hour reminder goes out; cleared on reschedule
+  reminderSentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+interviewSchema.pre('validate', function(next) {
+  if (!this.location && !this.meetingUrl) {
+    this.invalidate('location', 'A location or meeting link is required');
+  }
+  if (this.status === 'confirmed' && !this.scheduledAt) {
+    this.invalidate('scheduledAt', 'A confirmed interview needs a time');
+  }
+  next();
+});
+
+// Calendar UID, stable across reschedules and cancellation
+interviewSchema.virtual('calendarUid').get(function() {
+  return `interview-${this._id}@job-application-system`;
+});
+
+interviewSchema.index({ application: 1, createdAt: -1 });
+interviewSchema.index({ status: 1, scheduledAt: 1, reminderSentAt: 1 });
+
+module.exports = mongoose.model('Interview', interviewSchema);
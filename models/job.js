@@ -1,4 +1,58 @@
 const mongoose = require('mongoose');
+const salaryConfig = require('../config/salary');
+const { toAnnualBase } = require('../utils/salary');
+const { DEFAULT_PIPELINE, validatePipeline } = require('../utils/pipeline');
+const PipelineTemplate = require('./pipeline_template');
+
+const SCREENING_QUESTION_TYPES = ['boolean', 'single_choice', 'multi_choice', 'number', 'short_text'];
+
+// A question asked at apply time; its _id is the questionId applicants answer against
+const screeningQuestionSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: [true, 'Question text is required'],
+    trim: true,
+    maxlength: [300, 'Question cannot exceed 300 characters']
+  },
+  type: {
+    type: String,
+    enum: SCREENING_QUESTION_TYPES,
+    required: [true, 'Question type is required']
+  },
+  // Options for single_choice and multi_choice questions
+  choices: [{
+    type: String,
+    trim: true
+  }],
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Answers that fail these criteria knock the application out:
+  //   boolean       - answer must equal expectedAnswer
+  //   single_choice - answer must be one of acceptedChoices
+  //   multi_choice  - answer must include at least one of acceptedChoices
+  //   number        - answer must be within min/max
+  knockout: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    expectedAnswer: Boolean,
+    acceptedChoices: {
+      type: [String],
+      default: undefined
+    },
+    min: Number,
+    max: Number,
+    // Shown as the rejection reason; defaults to a generic message
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Knockout reason cannot exceed 300 characters']
+    }
+  }
+});
 
 const jobSchema = new mongoose.Schema({
   title: {
@@ -23,15 +77,72 @@ const jobSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Structured office location; optional for fully remote jobs
   location: {
+    city: {
+      type: String,
+      trim: true
+    },
+    region: {
+      type: String,
+      trim: true
+    },
+    // ISO 3166-1 alpha-2 code
+    country: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    // GeoJSON point, [longitude, latitude]
+    point: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
+    }
+  },
+  workMode: {
     type: String,
-    required: [true, 'Location is required'],
-    trim: true
+    enum: ['onsite', 'hybrid', 'remote'],
+    default: 'onsite'
   },
+  // ISO country codes remote applicants may work from; empty means anywhere
+  remoteCountries: [{
+    type: String,
+    trim: true,
+    uppercase: true
+  }],
   salary: {
-    // Consider making this an object with min, max, currency, and period for more detail
-    type: Number,
-    min: [0, 'Salary must be a positive number']
+    // Set to false for "undisclosed": amounts are dropped and the job is left out of salary filters
+    disclosed: {
+      type: Boolean,
+      default: true
+    },
+    min: {
+      type: Number,
+      min: [0, 'Salary must be a positive number']
+    },
+    max: {
+      type: Number,
+      min: [0, 'Salary must be a positive number']
+    },
+    currency: {
+      type: String,
+      enum: salaryConfig.currencies,
+      default: salaryConfig.defaultCurrency
+    },
+    period: {
+      type: String,
+      enum: salaryConfig.periods,
+      default: 'yearly'
+    },
+    // Annual amounts in the base currency, kept in sync on save for filtering and sorting
+    annualMin: Number,
+    annualMax: Number
   },
   jobType: {
     type: String,
@@ -49,19 +160,198 @@ const jobSchema = new mongoose.Schema({
   applicationDeadline: {
     type: Date
   },
+  screeningQuestions: {
+    type: [screeningQuestionSchema],
+    validate: [questions => questions.length <= 20, 'A job can have at most 20 screening questions']
+  },
+  // Reject applications automatically when a knockout question fails; otherwise they are only flagged
+  autoRejectOnKnockout: {
+    type: Boolean,
+    default: false
+  },
+  // Ordered hiring stages applications move through; change through the pipeline endpoint
+  pipeline: {
+    type: [PipelineTemplate.stageSchema],
+    default: () => DEFAULT_PIPELINE
+  },
+  // Other employer accounts that accepted an invitation to read applications and submit scorecards
+  reviewers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Employer accounts invited to review that haven't accepted yet; they get no access until then
+  invitedReviewers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Whether applicants who withdrew may apply again
+  allowReapplyAfterWithdrawal: {
+    type: Boolean,
+    default: false
+  },
+  // Lifecycle: draft -> scheduled -> published <-> paused -> closed, or expired at closeAt
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'published', 'paused', 'closed', 'expired'],
+    default: 'published'
+  },
+  // When a scheduled job goes live
+  publishAt: {
+    type: Date
+  },
+  // When a published or paused job expires
+  closeAt: {
+    type: Date
+  },
+  publishedAt: {
+    type: Date
+  },
+  closedAt: {
+    type: Date
+  },
+  // Derived from status and moderation on save: true only while publicly visible
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Set by admins; a taken-down job stays inactive until an admin restores it
+  moderation: {
+    takenDown: {
+      type: Boolean,
+      default: false
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Takedown reason cannot exceed 500 characters']
+    },
+    takenDownAt: Date,
+    takenDownBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
   }
 }, {
   timestamps: true
 });
 
+// Allowed status changes. Scheduled publishing and expiry are done by the scheduler.
+const STATUS_TRANSITIONS = {
+  draft: ['scheduled', 'published'],
+  scheduled: ['draft', 'published'],
+  published: ['paused', 'closed'],
+  paused: ['published', 'closed'],
+  closed: [],
+  expired: []
+};
+
+// Keep lifecycle timestamps and visibility in sync with status
+jobSchema.pre('validate', function(next) {
+  if (this.status === 'scheduled' && !this.publishAt) {
+    this.invalidate('publishAt', 'A publish time is required to schedule a job');
+  }
+
+  if (this.publishAt && this.closeAt && this.closeAt <= this.publishAt) {
+    this.invalidate('closeAt', 'Close time must be after the publish time');
+  }
+
+  if (this.isModified('status')) {
+    if (this.status === 'published' && !this.publishedAt) this.publishedAt = new Date();
+    if (['closed', 'expired'].includes(this.status)) this.closedAt = new Date();
+  }
+
+  const takenDown = Boolean(this.moderation && this.moderation.takenDown);
+  this.isActive = this.status === 'published' && !takenDown;
+  next();
+});
+
+// Check whether the job may move to a new status
+jobSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// The owner and reviewers who accepted their invitation can review applications
+jobSchema.methods.canReview = function(userId) {
+  const id = userId.toString();
+  return this.employerId.toString() === id || (this.reviewers || []).some(reviewer => reviewer.toString() === id);
+};
+
+// Choice questions need choices, and accepted knockout choices must be among them
+jobSchema.pre('validate', function(next) {
+  (this.screeningQuestions || []).forEach((question, index) => {
+    const isChoice = ['single_choice', 'multi_choice'].includes(question.type);
+    if (isChoice && question.choices.length < 2) {
+      this.invalidate(`screeningQuestions.${index}.choices`, 'Choice questions need at least two choices');
+    }
+
+    const accepted = question.knockout && question.knockout.acceptedChoices;
+    if (isChoice && accepted && accepted.some(option => !question.choices.includes(option))) {
+      this.invalidate(`screeningQuestions.${index}.knockout.acceptedChoices`, 'Accepted choices must be among the question choices');
+    }
+  });
+  next();
+});
+
+jobSchema.pre('validate', function(next) {
+  const error = validatePipeline(this.pipeline);
+  if (error) this.invalidate('pipeline', error);
+  next();
+});
+
+// Onsite and hybrid jobs need somewhere to be
+jobSchema.pre('validate', function(next) {
+  const location = this.location || {};
+  if (this.workMode !== 'remote' && !location.city && !location.country) {
+    this.invalidate('location', 'Location is required for onsite and hybrid jobs');
+  }
+
+  // Drop a half-filled point so the 2dsphere index never sees invalid GeoJSON
+  if (location.point && (!location.point.coordinates || location.point.coordinates.length !== 2)) {
+    this.location.point = undefined;
+  }
+  next();
+});
+
+// Keep normalized salary in sync and reject inverted ranges
+jobSchema.pre('validate', function(next) {
+  const salary = this.salary;
+
+  if (!salary.disclosed || (salary.min == null && salary.max == null)) {
+    salary.disclosed = false;
+    salary.min = undefined;
+    salary.max = undefined;
+    salary.annualMin = undefined;
+    salary.annualMax = undefined;
+    return next();
+  }
+
+  if (salary.min != null && salary.max != null && salary.max < salary.min) {
+    this.invalidate('salary.max', 'Maximum salary cannot be less than minimum salary');
+    return next();
+  }
+
+  const min = salary.min != null ? salary.min : salary.max;
+  const max = salary.max != null ? salary.max : salary.min;
+  salary.annualMin = toAnnualBase(min, salary.currency, salary.period);
+  salary.annualMax = toAnnualBase(max, salary.currency, salary.period);
+  next();
+});
+
 // Indexes for performance
 jobSchema.index({ employerId: 1 });
-jobSchema.index({ location: 1 });
+jobSchema.index({ 'location.country': 1, 'location.city': 1 });
+jobSchema.index({ 'location.point': '2dsphere' });
+jobSchema.index({ workMode: 1 });
 jobSchema.index({ isActive: 1, applicationDeadline: 1 });
+jobSchema.index({ status: 1, publishAt: 1 });
+jobSchema.index({ status: 1, closeAt: 1 });
+jobSchema.index({ isActive: 1, publishedAt: -1 });
+jobSchema.index({ 'salary.annualMin': 1, 'salary.annualMax': 1 });
 // For text search capabilities
 jobSchema.index({ title: 'text', description: 'text', company: 'text' });
 
-module.exports = mongoose.model('Job', jobSchema);
\ No newline at end of file
+const Job = mongoose.model('Job', jobSchema);
+Job.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+Job.SCREENING_QUESTION_TYPES = SCREENING_QUESTION_TYPES;
+
+module.exports = Job;
\ No newline at end of file
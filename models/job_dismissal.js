@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// A job an applicant doesn't want recommended again
+const jobDismissalSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+jobDismissalSchema.index({ userId: 1, jobId: 1 }, { unique: true });
+
+module.exports = mongoose.model('JobDismissal', jobDismissalSchema);
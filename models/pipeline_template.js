@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { STAGE_CATEGORIES, validatePipeline } = require('../utils/pipeline');
+
+// One step in a hiring pipeline; applications store the stage key as their status
+const pipelineStageSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Stage key is required'],
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Stage name is required'],
+    trim: true,
+    maxlength: [50, 'Stage name cannot exceed 50 characters']
+  },
+  // Groups stages for reporting
+  category: {
+    type: String,
+    enum: STAGE_CATEGORIES,
+    required: [true, 'Stage category is required']
+  },
+  // Stage keys applications can move to from here; without it the general pipeline rule applies
+  transitions: {
+    type: [String],
+    default: undefined
+  }
+}, { _id: false });
+
+// A reusable pipeline an employer can start jobs from
+const pipelineTemplateSchema = new mongoose.Schema({
+  employerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  stages: [pipelineStageSchema]
+}, {
+  timestamps: true
+});
+
+pipelineTemplateSchema.pre('validate', function(next) {
+  const error = validatePipeline(this.stages);
+  if (error) this.invalidate('stages', error);
+  next();
+});
+
+pipelineTemplateSchema.index({ employerId: 1, name: 1 }, { unique: true });
+
+const PipelineTemplate = mongoose.model('PipelineTemplate', pipelineTemplateSchema);
+PipelineTemplate.stageSchema = pipelineStageSchema;
+
+module.exports = PipelineTemplate;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const ALERT_FREQUENCIES = ['instant', 'daily', 'weekly'];
+
+const savedSearchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Saved search name is required'],
+    trim: true,
+    maxlength: [100, 'Saved search name cannot exceed 100 characters']
+  },
+  // GET /api/jobs query parameters, stored as sent
+  query: {
+    search: String,
+    location: String,
+    jobType: String,
+    experienceLevel: String,
+    minSalary: Number,
+    maxSalary: Number,
+    salaryCurrency: String,
+    salaryPeriod: String,
+    near: String,
+    radiusKm: Number,
+    remote: {
+      type: String,
+      enum: ['true', 'false']
+    },
+    remoteCountry: String,
+    workMode: String
+  },
+  frequency: {
+    type: String,
+    enum: ALERT_FREQUENCIES,
+    default: 'daily'
+  },
+  alertsEnabled: {
+    type: Boolean,
+    default: true
+  },
+  // Jobs published after this time go into the next alert
+  lastAlertedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ userId: 1, createdAt: -1 });
+savedSearchSchema.index({ alertsEnabled: 1, frequency: 1, lastAlertedAt: 1 });
+
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+SavedSearch.ALERT_FREQUENCIES = ALERT_FREQUENCIES;
+
+module.exports = SavedSearch;
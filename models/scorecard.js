@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Overall recommendation, weakest to strongest
+const RECOMMENDATIONS = ['strong_no', 'no', 'yes', 'strong_yes'];
+
+// One reviewer's structured feedback on an application. Never shown to applicants.
+const scorecardSchema = new mongoose.Schema({
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Ratings from 1 (poor) to 5 (excellent) on named criteria, e.g. "System design"
+  criteria: {
+    type: [{
+      _id: false,
+      name: {
+        type: String,
+        required: [true, 'Criterion name is required'],
+        trim: true,
+        maxlength: [100, 'Criterion name cannot exceed 100 characters']
+      },
+      rating: {
+        type: Number,
+        required: [true, 'Criterion rating is required'],
+        min: [1, 'Ratings go from 1 to 5'],
+        max: [5, 'Ratings go from 1 to 5']
+      },
+      comment: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Criterion comment cannot exceed 1000 characters']
+      }
+    }],
+    validate: [criteria => criteria.length <= 20, 'A scorecard can rate at most 20 criteria']
+  },
+  recommendation: {
+    type: String,
+    enum: RECOMMENDATIONS,
+    required: [true, 'Recommendation is required']
+  },
+  comments: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Comments cannot exceed 5000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// One scorecard per reviewer per application; reviewers update theirs
+scorecardSchema.index({ application: 1, reviewer: 1 }, { unique: true });
+scorecardSchema.index({ job: 1 });
+
+const Scorecard = mongoose.model('Scorecard', scorecardSchema);
+Scorecard.RECOMMENDATIONS = RECOMMENDATIONS;
+
+module.exports = Scorecard;
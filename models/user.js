@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -22,15 +23,20 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  // Optional for accounts that sign in only through an external identity provider
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    required: [
+      function() { return !this.federatedIdentities || this.federatedIdentities.length === 0; },
+      'Password is required'
+    ],
     minlength: [6, 'Password must be at least 6 characters'],
     select: false // Don't include password in queries by default
   },
+  // 'admin' is only ever granted through scripts/create-admin.js, never via registration
   role: {
     type: String,
-    enum: ['applicant', 'employer'],
+    enum: ['applicant', 'employer', 'admin'],
     default: 'applicant'
   },
   phone: {
@@ -52,6 +58,29 @@ const userSchema = new mongoose.Schema({
     min: 0,
     default: 0
   },
+  // Where the applicant wants to work, in the Job.location shape; used for recommendations
+  preferredLocation: {
+    city: String,
+    region: String,
+    country: {
+      type: String,
+      uppercase: true
+    },
+    point: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
+    }
+  },
+  preferredWorkModes: [{
+    type: String,
+    enum: ['onsite', 'hybrid', 'remote']
+  }],
   // Employer specific fields
   companyName: {
     type: String,
@@ -81,14 +110,103 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Linked OpenID Connect identities
+  federatedIdentities: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Access tokens issued before this time are rejected (admin force-logout)
+  sessionsRevokedAt: {
+    type: Date,
+    default: null
+  },
+  // TOTP two-factor authentication (employers)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Set by the account owner to stop 2FA from being switched off
+    required: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation with a first valid code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Time step of the last accepted code, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    // Only SHA-256 hashes of recovery codes are stored
+    recoveryCodes: {
+      type: [{
+        codeHash: {
+          type: String,
+          required: true
+        },
+        usedAt: {
+          type: Date,
+          default: null
+        }
+      }],
+      select: false
+    }
+  },
+  // Only the SHA-256 hash of the reset token is stored
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // Only SHA-256 hashes of refresh tokens are stored. Tokens issued from the same
+  // login share a family so a replayed, already-rotated token can revoke them all.
   refreshTokens: [{
-    token: {
+    tokenHash: {
+      type: String,
+      required: true
+    },
+    family: {
       type: String,
       required: true
     },
+    // Device metadata so users can recognise and revoke individual sessions
+    userAgent: {
+      type: String,
+      trim: true
+    },
+    ipAddress: {
+      type: String,
+      trim: true
+    },
     createdAt: {
       type: Date,
       default: Date.now,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
     }
   }]
 }, {
@@ -97,11 +215,16 @@ const userSchema = new mongoose.Schema({
 
 // Index for email lookup
 userSchema.index({ email: 1 });
+// One account per external identity
+userSchema.index(
+  { 'federatedIdentities.provider': 1, 'federatedIdentities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'federatedIdentities.subject': { $exists: true } } }
+);
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
-  // Only hash the password if it has been modified (or is new)
-  if (!this.isModified('password')) return next();
+  // Only hash the password if it has been modified (or is new), and not when it was cleared
+  if (!this.isModified('password') || !this.password) return next();
 
   try {
     // Hash password with cost of 12
@@ -115,25 +238,113 @@ userSchema.pre('save', async function(next) {
 
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  // Federated-only accounts have no password to match
+  if (!this.password) return false;
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to generate a password reset token. Returns the raw token; only its hash is kept.
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30;
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Method to generate a fresh set of 2FA recovery codes. Returns the raw codes; only hashes are kept.
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(code => ({
+    codeHash: crypto.createHash('sha256').update(code).digest('hex')
+  }));
+
+  return codes;
+};
+
+// Method to consume a 2FA recovery code. Returns true if the code was valid and unused.
+userSchema.methods.useRecoveryCode = function(code) {
+  const codeHash = crypto.createHash('sha256').update(code.trim().toLowerCase()).digest('hex');
+  const entry = (this.twoFactor.recoveryCodes || []).find(c => c.codeHash === codeHash && !c.usedAt);
+  if (!entry) return false;
+
+  entry.usedAt = new Date();
+  return true;
+};
+
+// Hash a refresh token for storage/lookup
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Entries saved before refresh tokens were hashed can never match again, so drop them
+userSchema.pre('validate', function(next) {
+  if (this.refreshTokens && this.refreshTokens.some(t => !t.tokenHash || !t.family)) {
+    this.refreshTokens = this.refreshTokens.filter(t => t.tokenHash && t.family);
+  }
+  next();
+});
+
 // Method to add refresh token
-userSchema.methods.addRefreshToken = function(token) {
-  this.refreshTokens.push({ token });
+userSchema.methods.addRefreshToken = function(token, family, device = {}) {
+  this.refreshTokens.push({
+    tokenHash: this.constructor.hashToken(token),
+    family,
+    userAgent: device.userAgent,
+    ipAddress: device.ipAddress
+  });
+  return this.save();
+};
+
+// Method to check whether a refresh token is currently valid for this user
+userSchema.methods.hasRefreshToken = function(token) {
+  const tokenHash = this.constructor.hashToken(token);
+  return this.refreshTokens.some(t => t.tokenHash === tokenHash);
+};
+
+// Method to replace a refresh token with its successor. The session entry is updated
+// in place so its id and creation time stay stable across rotations.
+userSchema.methods.rotateRefreshToken = function(oldToken, newToken, device = {}) {
+  const oldHash = this.constructor.hashToken(oldToken);
+  const session = this.refreshTokens.find(t => t.tokenHash === oldHash);
+
+  session.tokenHash = this.constructor.hashToken(newToken);
+  session.lastUsedAt = new Date();
+  if (device.ipAddress) session.ipAddress = device.ipAddress;
+  if (device.userAgent) session.userAgent = device.userAgent;
+
+  return this.save();
+};
+
+// Method to revoke every refresh token descended from the same login
+userSchema.methods.revokeTokenFamily = function(family) {
+  this.refreshTokens = this.refreshTokens.filter(t => t.family !== family);
   return this.save();
 };
 
 // Method to remove refresh token
 userSchema.methods.removeRefreshToken = function(token) {
-  this.refreshTokens = this.refreshTokens.filter(t => t.token !== token);
+  const tokenHash = this.constructor.hashToken(token);
+  this.refreshTokens = this.refreshTokens.filter(t => t.tokenHash !== tokenHash);
+  return this.save();
+};
+
+// Method to revoke a single session by its id
+userSchema.methods.revokeSession = function(sessionId) {
+  this.refreshTokens = this.refreshTokens.filter(t => t._id.toString() !== sessionId.toString());
   return this.save();
 };
 
-// Method to clean expired refresh tokens
+// Method to clean expired refresh tokens (a session's current token was issued when it was last used)
 userSchema.methods.cleanExpiredTokens = function() {
   const now = new Date();
-  this.refreshTokens = this.refreshTokens.filter(t => t.createdAt.getTime() + 604800000 > now.getTime());
+  this.refreshTokens = this.refreshTokens.filter(t => (t.lastUsedAt || t.createdAt).getTime() + 604800000 > now.getTime());
   return this.save();
 };
 
@@ -0,0 +1,33 @@
+const express = require('express');
+const { body } = require('express-validator');
+const adminController = require('../controllers/admin');
+const { authenticateToken } = require('../middlewares/auth');
+const { requireAdmin } = require('../middlewares/role');
+
+const router = express.Router();
+
+// All routes require an authenticated admin
+router.use(authenticateToken, requireAdmin);
+
+const takeDownValidation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Takedown reason must be between 3 and 500 characters')
+];
+
+// User management
+router.get('/users', adminController.getUsers);
+router.get('/users/:id', adminController.getUserById);
+router.patch('/users/:id/deactivate', adminController.deactivateUser);
+router.patch('/users/:id/reactivate', adminController.reactivateUser);
+router.post('/users/:id/force-logout', adminController.forceLogoutUser);
+
+// Job moderation
+router.patch('/jobs/:id/takedown', takeDownValidation, adminController.takeDownJob);
+router.patch('/jobs/:id/restore', adminController.restoreJob);
+
+// Queue monitoring
+router.get('/queue-stats', adminController.getQueueStats);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const { body } = require('express-validator');
+const apiKeyController = require('../controllers/api_key');
+const ApiKey = require('../models/api_key');
+const { authenticateToken } = require('../middlewares/auth');
+const { requireEmployer } = require('../middlewares/role');
+
+const router = express.Router();
+
+// Managed by the employer in person; API keys themselves are rejected here
+router.use(authenticateToken, requireEmployer);
+
+const scopesValidation = (field) => body(field)
+  .isArray({ min: 1 })
+  .withMessage('Scopes must be a non-empty array')
+  .custom(scopes => scopes.every(scope => ApiKey.SCOPES.includes(scope)))
+  .withMessage(`Scopes must be any of: ${ApiKey.SCOPES.join(', ')}`);
+
+const createApiKeyValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  scopesValidation('scopes'),
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage('Invalid date format for expiry')
+    .custom(value => value > new Date())
+    .withMessage('Expiry must be in the future')
+];
+
+const updateApiKeyValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  scopesValidation('scopes').optional()
+];
+
+router.post('/', createApiKeyValidation, apiKeyController.createApiKey);
+router.get('/', apiKeyController.getApiKeys);
+router.patch('/:id', updateApiKeyValidation, apiKeyController.updateApiKey);
+router.delete('/:id', apiKeyController.revokeApiKey);
+
+module.exports = router;
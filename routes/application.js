@@ -1,7 +1,10 @@
 const express = require('express');
 const { body } = require('express-validator');
 const applicationController = require('../controllers/application');
-const { authenticateToken } = require('../middlewares/auth');
+const interviewController = require('../controllers/interview');
+const scorecardController = require('../controllers/scorecard');
+const Scorecard = require('../models/scorecard');
+const { authenticateToken, requireVerifiedEmail } = require('../middlewares/auth');
 const { requireApplicant, requireEmployer } = require('../middlewares/role');
 
 const router = express.Router();
@@ -12,7 +15,23 @@ const applyValidationRules = [
     .optional()
     .trim()
     .isLength({ max: 5000 })
-    .withMessage('Cover letter cannot exceed 5000 characters')
+    .withMessage('Cover letter cannot exceed 5000 characters'),
+  body('screeningAnswers')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Screening answers must be an array of { questionId, answer }'),
+  body('screeningAnswers.*.questionId')
+    .isMongoId()
+    .withMessage('Each screening answer needs a valid questionId')
+];
+
+// Validation rules for withdrawing an application
+const withdrawValidationRules = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
 ];
 
 // Validation rules for updating application status
@@ -20,8 +39,13 @@ const updateStatusValidationRules = [
   body('status')
     .optional()
     .trim()
-    .isIn(['reviewed', 'shortlisted', 'interview', 'rejected', 'hired'])
-    .withMessage('Invalid application status'),
+    .matches(/^[a-z0-9_]{1,50}$/)
+    .withMessage('Status must be a stage key of the job\'s pipeline'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
   body('notes')
     .optional()
     .trim()
@@ -29,9 +53,117 @@ const updateStatusValidationRules = [
     .withMessage('Notes cannot exceed 5000 characters')
 ];
 
+// Interview time and place, shared by scheduling and rescheduling
+const interviewDetailRules = [
+  body('durationMinutes')
+    .optional()
+    .isInt({ min: 15, max: 480 })
+    .toInt()
+    .withMessage('Duration must be between 15 and 480 minutes'),
+  body('timezone')
+    .optional()
+    .isString()
+    .withMessage('Time zone must be an IANA name such as Asia/Kolkata'),
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Location cannot exceed 300 characters'),
+  body('meetingUrl')
+    .optional()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Meeting link must be an http(s) URL')
+];
+
+const isFutureDate = value => value > new Date();
+
+// Validation rules for proposing interview slots
+const scheduleInterviewValidationRules = [
+  body('slots')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Propose between 1 and 10 slots'),
+  body('slots.*')
+    .isISO8601()
+    .toDate()
+    .withMessage('Slots must be ISO 8601 dates')
+    .custom(isFutureDate)
+    .withMessage('Slots must be in the future'),
+  body(['durationMinutes', 'timezone'])
+    .exists()
+    .withMessage('Duration and time zone are required'),
+  ...interviewDetailRules,
+  body('interviewers')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Interviewers must be an array of at most 10 { name, email }'),
+  body('interviewers.*.name')
+    .trim()
+    .notEmpty()
+    .withMessage('Each interviewer needs a name'),
+  body('interviewers.*.email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Each interviewer needs a valid email')
+];
+
+// Validation rules for moving an interview to a new time
+const rescheduleInterviewValidationRules = [
+  body('start')
+    .isISO8601()
+    .toDate()
+    .withMessage('Start must be an ISO 8601 date')
+    .custom(isFutureDate)
+    .withMessage('Start must be in the future'),
+  ...interviewDetailRules
+];
+
+const confirmInterviewValidationRules = [
+  body('slotId')
+    .isMongoId()
+    .withMessage('A valid slotId is required')
+];
+
+const cancelInterviewValidationRules = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+// Validation rules for a reviewer's scorecard
+const scorecardValidationRules = [
+  body('recommendation')
+    .isIn(Scorecard.RECOMMENDATIONS)
+    .withMessage(`Recommendation must be one of: ${Scorecard.RECOMMENDATIONS.join(', ')}`),
+  body('criteria')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Criteria must be an array of at most 20 { name, rating, comment }'),
+  body('criteria.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each criterion needs a name of at most 100 characters'),
+  body('criteria.*.rating')
+    .isInt({ min: 1, max: 5 })
+    .toInt()
+    .withMessage('Ratings must be whole numbers from 1 to 5'),
+  body('criteria.*.comment')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Criterion comments cannot exceed 1000 characters'),
+  body('comments')
+    .optional()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Comments cannot exceed 5000 characters')
+];
+
 // Applicant routes
-router.post('/:jobId/apply', authenticateToken, requireApplicant, applyValidationRules, applicationController.applyToJob);
+router.post('/:jobId/apply', authenticateToken, requireApplicant, requireVerifiedEmail, applyValidationRules, applicationController.applyToJob);
 router.get('/', authenticateToken, requireApplicant, applicationController.getAppliedJobs);
+router.post('/:id/withdraw', authenticateToken, requireApplicant, withdrawValidationRules, applicationController.withdrawApplication);
 
 // Employer routes
 router.get('/job/:jobId', authenticateToken, requireEmployer, applicationController.getApplicationsForJob);
@@ -39,6 +171,19 @@ router.patch('/:id', authenticateToken, requireEmployer, updateStatusValidationR
 
 // Common routes
 router.get('/:id', authenticateToken, applicationController.getApplicationById);
+router.get('/:id/timeline', authenticateToken, applicationController.getApplicationTimeline);
+
+// Scorecards (job owner and reviewers; never shown to applicants)
+router.put('/:id/scorecard', authenticateToken, requireEmployer, scorecardValidationRules, scorecardController.submitScorecard);
+router.delete('/:id/scorecard', authenticateToken, requireEmployer, scorecardController.deleteScorecard);
+router.get('/:id/scorecards', authenticateToken, requireEmployer, scorecardController.getApplicationScorecards);
+
+// Interviews
+router.post('/:id/interviews', authenticateToken, requireEmployer, scheduleInterviewValidationRules, interviewController.scheduleInterview);
+router.get('/:id/interviews', authenticateToken, interviewController.getInterviews);
+router.post('/:id/interviews/:interviewId/confirm', authenticateToken, requireApplicant, confirmInterviewValidationRules, interviewController.confirmInterview);
+router.post('/:id/interviews/:interviewId/reschedule', authenticateToken, requireEmployer, rescheduleInterviewValidationRules, interviewController.rescheduleInterview);
+router.post('/:id/interviews/:interviewId/cancel', authenticateToken, cancelInterviewValidationRules, interviewController.cancelInterview);
 
 
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,8 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const authController = require('../controllers/auth');
 const { authenticateToken } = require('../middlewares/auth');
+const { requireEmployer } = require('../middlewares/role');
 
 const router = express.Router();
 
@@ -49,11 +50,127 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
+const verifyEmailValidation = [
+  body('token')
+    .notEmpty()
+    .withMessage('Verification token is required')
+];
+
+const resendVerificationValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('New password must contain at least one uppercase letter, one lowercase letter, and one number'),
+  body('confirmPassword')
+    .custom((value, { req }) => {
+      if (value !== req.body.newPassword) {
+        throw new Error('Password confirmation does not match new password');
+      }
+      return true;
+    })
+];
+
+const totpCodeValidation = body('code')
+  .isString()
+  .matches(/^\d{6}$/)
+  .withMessage('Authentication code must be 6 digits');
+
+const loginTwoFactorValidation = [
+  body('mfaToken')
+    .isString()
+    .notEmpty()
+    .withMessage('MFA challenge token is required'),
+  body('code')
+    .optional()
+    .isString()
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Recovery code must be a string'),
+  body()
+    .custom((value) => {
+      if (!value.code && !value.recoveryCode) {
+        throw new Error('Either an authentication code or a recovery code is required');
+      }
+      return true;
+    })
+];
+
+const twoFactorRequirementValidation = [
+  body('required')
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Required must be true or false'),
+  totpCodeValidation
+];
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  totpCodeValidation
+];
+
+const oidcAuthorizeValidation = [
+  query('role')
+    .optional()
+    .isIn(['applicant', 'employer'])
+    .withMessage('Role must be either applicant or employer')
+];
+
+const oidcCallbackValidation = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+  body('state')
+    .isString()
+    .notEmpty()
+    .withMessage('State is required')
+];
+
 // Routes
 router.post('/register', registerValidation, authController.register);
 router.post('/login', loginValidation, authController.login);
+router.post('/login/2fa', loginTwoFactorValidation, authController.loginTwoFactor);
+router.get('/oidc/providers', authController.getOidcProviders);
+router.get('/oidc/:provider/authorize', oidcAuthorizeValidation, authController.oidcAuthorize);
+router.post('/oidc/:provider/callback', oidcCallbackValidation, authController.oidcCallback);
 router.post('/refresh-token', authController.refreshToken);
 router.post('/logout', authController.logout);
 router.post('/logout-all', authenticateToken, authController.logoutAll);
+router.get('/sessions', authenticateToken, authController.getSessions);
+router.delete('/sessions/:id', authenticateToken, authController.revokeSession);
+router.post('/verify-email', verifyEmailValidation, authController.verifyEmail);
+router.post('/resend-verification', resendVerificationValidation, authController.resendVerification);
+router.post('/2fa/setup', authenticateToken, requireEmployer, authController.setupTwoFactor);
+router.post('/2fa/confirm', authenticateToken, requireEmployer, [totpCodeValidation], authController.confirmTwoFactor);
+router.post('/2fa/recovery-codes', authenticateToken, requireEmployer, [totpCodeValidation], authController.regenerateRecoveryCodes);
+router.put('/2fa/required', authenticateToken, requireEmployer, twoFactorRequirementValidation, authController.setTwoFactorRequirement);
+router.post('/2fa/disable', authenticateToken, requireEmployer, disableTwoFactorValidation, authController.disableTwoFactor);
+router.post('/forgot-password', forgotPasswordValidation, authController.forgotPassword);
+router.post('/reset-password', resetPasswordValidation, authController.resetPassword);
 
 module.exports = router;
\ No newline at end of file
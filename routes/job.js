@@ -1,11 +1,70 @@
 const express = require('express');
 const { body } = require('express-validator');
 const jobController = require('../controllers/job');
-const { authenticateToken } = require('../middlewares/auth');
-const { requireEmployer, checkJobOwnership } = require('../middlewares/role');
+const Job = require('../models/job');
+const salaryConfig = require('../config/salary');
+const { normalizeSalaryInput } = require('../utils/salary');
+const geocodingService = require('../services/geocoding_service');
+const bookmarkController = require('../controllers/bookmark');
+const recommendationController = require('../controllers/recommendation');
+const pipelineController = require('../controllers/pipeline');
+const scorecardController = require('../controllers/scorecard');
+const { STAGE_CATEGORIES } = require('../utils/pipeline');
+const { authenticateToken, optionalAuth, requireVerifiedEmail } = require('../middlewares/auth');
+const { requireApplicant, requireEmployer, checkJobOwnership, checkJobReviewer, rejectApiKey } = require('../middlewares/role');
 
 const router = express.Router();
 
+// The screening question a wildcard field path like "screeningQuestions[2].choices" belongs to
+const getQuestion = (req, path) => {
+  const index = Number(path.match(/^screeningQuestions\[(\d+)\]/)[1]);
+  return req.body.screeningQuestions[index] || {};
+};
+
+// publishAt/closeAt checks shared by job and status validation
+const lifecycleDateRules = [
+  body('publishAt')
+    .if(body('status').equals('scheduled'))
+    .exists({ values: 'null' })
+    .withMessage('publishAt is required to schedule a job'),
+  body('publishAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .toDate()
+    .withMessage('Invalid date format for publishAt')
+    .custom((value, { req }) => req.body.status !== 'scheduled' || value > new Date())
+    .withMessage('publishAt must be in the future to schedule a job'),
+  body('closeAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .toDate()
+    .withMessage('Invalid date format for closeAt')
+    .custom((value, { req }) => !(req.body.publishAt instanceof Date) || value > req.body.publishAt)
+    .withMessage('closeAt must be after publishAt')
+];
+
+// Stage checks for a pipeline given inline; the model checks the pipeline as a whole
+const pipelineStageRules = field => [
+  body(field)
+    .optional()
+    .isArray({ min: 2, max: 20 })
+    .withMessage('Pipeline must be an array of 2 to 20 stages'),
+  body(`${field}.*.name`)
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each stage needs a name of at most 50 characters'),
+  body(`${field}.*.category`)
+    .isIn(STAGE_CATEGORIES)
+    .withMessage(`Stage category must be one of: ${STAGE_CATEGORIES.join(', ')}`),
+  body(`${field}.*.transitions`)
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Stage transitions must be an array of stage keys'),
+  body(`${field}.*.transitions.*`)
+    .isString()
+    .withMessage('Stage transitions must be an array of stage keys')
+];
+
 // Validation rules for creating/updating a job
 const jobValidationRules = [
   body('title')
@@ -21,14 +80,62 @@ const jobValidationRules = [
     .trim()
     .isLength({ max: 100 })
     .withMessage('Company name cannot exceed 100 characters'),
+  body('workMode')
+    .optional()
+    .isIn(['onsite', 'hybrid', 'remote'])
+    .withMessage('Work mode must be onsite, hybrid or remote'),
   body('location')
-    .trim()
-    .notEmpty()
-    .withMessage('Location is required'),
+    .if((value, { req }) => req.body.workMode !== 'remote' || value !== undefined)
+    .custom((value) => {
+      if (typeof value === 'string') return value.trim().length > 0;
+      return Boolean(value) && typeof value === 'object' && Boolean(value.city || value.country);
+    })
+    .withMessage('Location is required: a "City, Region, Country" string or an object with city and/or country'),
+  body('location.country')
+    .optional()
+    .custom(value => Boolean(geocodingService.resolveCountry(value)))
+    .withMessage('Unknown location country'),
+  body(['location.coordinates.lat'])
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body(['location.coordinates.lng'])
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  body('remoteCountries')
+    .optional()
+    .isArray()
+    .withMessage('Remote countries must be an array')
+    .custom(values => values.every(value => geocodingService.resolveCountry(value)))
+    .withMessage('Remote countries must be valid country names or ISO codes'),
   body('salary')
     .optional()
-    .isNumeric()
-    .withMessage('Salary must be a number'),
+    .customSanitizer(normalizeSalaryInput)
+    .isObject()
+    .withMessage('Salary must be an object with min, max, currency and period'),
+  body('salary.disclosed')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Salary disclosed must be true or false'),
+  body(['salary.min', 'salary.max'])
+    .optional()
+    .isFloat({ min: 0 })
+    .toFloat()
+    .withMessage('Salary amounts must be positive numbers'),
+  body('salary.max')
+    .optional()
+    .custom((max, { req }) => req.body.salary.min === undefined || max >= req.body.salary.min)
+    .withMessage('Maximum salary cannot be less than minimum salary'),
+  body('salary.currency')
+    .optional()
+    .isIn(salaryConfig.currencies)
+    .withMessage(`Salary currency must be one of: ${salaryConfig.currencies.join(', ')}`),
+  body('salary.period')
+    .optional()
+    .isIn(salaryConfig.periods)
+    .withMessage(`Salary period must be one of: ${salaryConfig.periods.join(', ')}`),
   body('jobType')
     .optional()
     .isIn(['Full-time', 'Part-time', 'Contract', 'Internship', 'Temporary'])
@@ -45,14 +152,121 @@ const jobValidationRules = [
     .optional()
     .isISO8601()
     .toDate()
-    .withMessage('Invalid date format for application deadline')
+    .withMessage('Invalid date format for application deadline'),
+  body('screeningQuestions')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Screening questions must be an array of at most 20 questions'),
+  body('screeningQuestions.*.question')
+    .trim()
+    .isLength({ min: 3, max: 300 })
+    .withMessage('Each screening question must be between 3 and 300 characters'),
+  body('screeningQuestions.*.type')
+    .isIn(Job.SCREENING_QUESTION_TYPES)
+    .withMessage(`Screening question type must be one of: ${Job.SCREENING_QUESTION_TYPES.join(', ')}`),
+  body('screeningQuestions.*.choices')
+    .if((value, { req, path }) => ['single_choice', 'multi_choice'].includes(getQuestion(req, path).type))
+    .isArray({ min: 2 })
+    .withMessage('Choice questions need at least two choices'),
+  body(['screeningQuestions.*.required', 'screeningQuestions.*.knockout.enabled', 'screeningQuestions.*.knockout.expectedAnswer'])
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Screening question flags must be true or false'),
+  body(['screeningQuestions.*.knockout.min', 'screeningQuestions.*.knockout.max'])
+    .optional({ values: 'null' })
+    .isFloat()
+    .toFloat()
+    .withMessage('Knockout limits must be numbers'),
+  body('screeningQuestions.*.knockout.acceptedChoices')
+    .optional()
+    .isArray()
+    .custom((values, { req, path }) => values.every(value => (getQuestion(req, path).choices || []).includes(value)))
+    .withMessage('Accepted knockout choices must be among the question choices'),
+  body('autoRejectOnKnockout')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('autoRejectOnKnockout must be true or false'),
+  body('allowReapplyAfterWithdrawal')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('allowReapplyAfterWithdrawal must be true or false'),
+  ...pipelineStageRules('pipeline'),
+  body('pipelineTemplateId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid pipeline template ID'),
+  body('status')
+    .optional()
+    .isIn(['draft', 'scheduled', 'published'])
+    .withMessage('New jobs can only be created as draft, scheduled or published'),
+  ...lifecycleDateRules
+];
+
+// Validation rules for replacing a job's pipeline
+const jobPipelineValidationRules = [
+  body('stages')
+    .if(body('templateId').not().exists())
+    .exists()
+    .withMessage('Provide stages or a templateId'),
+  ...pipelineStageRules('stages'),
+  body('templateId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid pipeline template ID'),
+  body('stageMapping')
+    .optional()
+    .isObject()
+    .withMessage('stageMapping must map old stage keys to new stage keys')
 ];
 
-router.get('/', jobController.getAllJobs);
-router.post('/', authenticateToken, requireEmployer, jobValidationRules, jobController.createJob);
+// Validation rules for setting a job's reviewers
+const jobReviewersValidationRules = [
+  body('emails')
+    .isArray({ max: 20 })
+    .withMessage('Emails must be an array of at most 20 employer emails'),
+  body('emails.*')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Each reviewer needs a valid email')
+];
+
+// Validation rules for changing a job's status
+const jobStatusValidationRules = [
+  body('status')
+    .isIn(['draft', 'scheduled', 'published', 'paused', 'closed'])
+    .withMessage('Status must be one of: draft, scheduled, published, paused, closed'),
+  ...lifecycleDateRules
+];
+
+router.get('/', optionalAuth, jobController.getAllJobs);
+router.post('/', authenticateToken, requireEmployer, requireVerifiedEmail, jobValidationRules, jobController.createJob);
 router.get('/my-jobs', authenticateToken, requireEmployer, jobController.getJobsByEmployer);
-router.get('/:id', jobController.getJobById);
+router.get('/recommended', authenticateToken, requireApplicant, recommendationController.getRecommendedJobs);
+router.get('/review-invitations', authenticateToken, rejectApiKey, requireEmployer, jobController.getReviewInvitations);
+router.get('/:id', optionalAuth, jobController.getJobById);
 router.put('/:id', authenticateToken, requireEmployer, checkJobOwnership, jobValidationRules, jobController.updateJob);
+router.patch('/:id/status', authenticateToken, requireEmployer, checkJobOwnership, jobStatusValidationRules, jobController.updateJobStatus);
 router.delete('/:id', authenticateToken, requireEmployer, checkJobOwnership, jobController.deleteJob);
 
+// Hiring pipeline (job owner only)
+router.get('/:id/pipeline', authenticateToken, requireEmployer, checkJobOwnership, pipelineController.getJobPipeline);
+router.put('/:id/pipeline', authenticateToken, requireEmployer, checkJobOwnership, jobPipelineValidationRules, pipelineController.updateJobPipeline);
+
+// Review team: the owner invites, and invited employers only get access once they accept
+router.put('/:id/reviewers', authenticateToken, rejectApiKey, requireEmployer, checkJobOwnership, jobReviewersValidationRules, jobController.updateJobReviewers);
+router.post('/:id/reviewers/accept', authenticateToken, rejectApiKey, requireEmployer, jobController.acceptReviewInvitation);
+router.delete('/:id/reviewers/me', authenticateToken, rejectApiKey, requireEmployer, jobController.leaveReviewTeam);
+router.get('/:id/scorecards', authenticateToken, requireEmployer, checkJobReviewer, scorecardController.getJobScorecards);
+
+// Bookmarks (applicants only)
+router.post('/:id/bookmark', authenticateToken, requireApplicant, bookmarkController.bookmarkJob);
+router.delete('/:id/bookmark', authenticateToken, requireApplicant, bookmarkController.removeBookmark);
+
+// Recommendation feedback (applicants only)
+router.post('/:id/dismiss', authenticateToken, requireApplicant, recommendationController.dismissJob);
+router.delete('/:id/dismiss', authenticateToken, requireApplicant, recommendationController.undismissJob);
+
 module.exports = router;
\ No newline at end of file
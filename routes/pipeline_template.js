@@ -0,0 +1,52 @@
+const express = require('express');
+const { body } = require('express-validator');
+const pipelineController = require('../controllers/pipeline');
+const { STAGE_CATEGORIES } = require('../utils/pipeline');
+const { authenticateToken } = require('../middlewares/auth');
+const { requireEmployer } = require('../middlewares/role');
+
+const router = express.Router();
+
+const stagesValidation = () => [
+  body('stages')
+    .isArray({ min: 2, max: 20 })
+    .withMessage('Stages must be an array of 2 to 20 stages'),
+  body('stages.*.name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each stage needs a name of at most 50 characters'),
+  body('stages.*.category')
+    .isIn(STAGE_CATEGORIES)
+    .withMessage(`Stage category must be one of: ${STAGE_CATEGORIES.join(', ')}`),
+  body('stages.*.transitions')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Stage transitions must be an array of stage keys'),
+  body('stages.*.transitions.*')
+    .isString()
+    .withMessage('Stage transitions must be an array of stage keys')
+];
+
+const nameValidation = () => body('name')
+  .trim()
+  .isLength({ min: 1, max: 100 })
+  .withMessage('Name must be between 1 and 100 characters');
+
+const createTemplateValidation = [
+  nameValidation(),
+  ...stagesValidation()
+];
+
+const updateTemplateValidation = [
+  nameValidation().optional(),
+  ...stagesValidation().map(rule => rule.optional())
+];
+
+router.use(authenticateToken, requireEmployer);
+
+router.post('/', createTemplateValidation, pipelineController.createTemplate);
+router.get('/', pipelineController.getTemplates);
+router.put('/:id', updateTemplateValidation, pipelineController.updateTemplate);
+router.delete('/:id', pipelineController.deleteTemplate);
+
+module.exports = router;
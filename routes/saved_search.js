@@ -0,0 +1,70 @@
+const express = require('express');
+const { body } = require('express-validator');
+const savedSearchController = require('../controllers/saved_search');
+const SavedSearch = require('../models/saved_search');
+const { authenticateToken } = require('../middlewares/auth');
+const { requireApplicant } = require('../middlewares/role');
+
+const router = express.Router();
+
+const queryValidation = () => body('query')
+  .isObject()
+  .withMessage('Query must be an object of job search parameters');
+
+// Query parameters and alert settings shared by create and update
+const savedSearchSettings = [
+  body(['query.minSalary', 'query.maxSalary', 'query.radiusKm'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Salary and radius values must be positive numbers'),
+  body('query.remote')
+    .optional()
+    .isIn(['true', 'false', true, false])
+    .withMessage('Remote must be true or false'),
+  body('frequency')
+    .optional()
+    .isIn(SavedSearch.ALERT_FREQUENCIES)
+    .withMessage(`Frequency must be one of: ${SavedSearch.ALERT_FREQUENCIES.join(', ')}`),
+  body('alertsEnabled')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('alertsEnabled must be true or false')
+];
+
+const createSavedSearchValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  queryValidation(),
+  ...savedSearchSettings
+];
+
+const updateSavedSearchValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  queryValidation().optional(),
+  ...savedSearchSettings
+];
+
+const unsubscribeValidation = [
+  body('token')
+    .notEmpty()
+    .withMessage('Unsubscribe token is required')
+];
+
+// Linked from alert emails, so it works without logging in
+router.post('/unsubscribe', unsubscribeValidation, savedSearchController.unsubscribe);
+
+router.use(authenticateToken, requireApplicant);
+
+router.post('/', createSavedSearchValidation, savedSearchController.createSavedSearch);
+router.get('/', savedSearchController.getSavedSearches);
+router.patch('/:id', updateSavedSearchValidation, savedSearchController.updateSavedSearch);
+router.delete('/:id', savedSearchController.deleteSavedSearch);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body } = require('express-validator');
 const userController = require('../controllers/user');
+const bookmarkController = require('../controllers/bookmark');
 const { authenticateToken } = require('../middlewares/auth');
 const { requireApplicant } = require('../middlewares/role');
 const { resumeUpload, profilePictureUpload } = require('../middlewares/upload');
@@ -42,6 +43,19 @@ const updateProfileValidation = [
       return false;
     })
     .withMessage('Skills must be a non-empty array of strings or a comma-separated string'),
+  body('preferredLocation')
+    .optional({ values: 'null' })
+    .custom((value) => {
+      if (typeof value === 'string') return value.trim().length > 0;
+      return typeof value === 'object' && Boolean(value.city || value.country);
+    })
+    .withMessage('Preferred location must be a "City, Region, Country" string or an object with city and/or country'),
+  body('preferredWorkModes')
+    .optional()
+    .isArray()
+    .withMessage('Preferred work modes must be an array')
+    .custom(values => values.every(value => ['onsite', 'hybrid', 'remote'].includes(value)))
+    .withMessage('Preferred work modes must be onsite, hybrid or remote'),
   body('companyName')
     .optional()
     .trim()
@@ -91,4 +105,7 @@ router.delete('/profile-picture', userController.deleteProfilePicture);
 router.post('/upload-resume', requireApplicant, resumeUpload, userController.uploadResume);
 router.delete('/resume', requireApplicant, userController.deleteResume);
 
+// Bookmarked jobs (applicants only)
+router.get('/bookmarks', requireApplicant, bookmarkController.getBookmarks);
+
 module.exports = router;
\ No newline at end of file
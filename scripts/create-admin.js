@@ -0,0 +1,54 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/user');
+
+// Grant the admin role. This is the only way to create an admin.
+//
+// Promote an existing user:
+//   npm run create-admin -- admin@example.com
+// Create a new admin account:
+//   npm run create-admin -- admin@example.com "Str0ngPassword" Jane Doe
+const run = async () => {
+  const [email, password, firstName = 'Admin', lastName = 'User'] = process.argv.slice(2);
+
+  if (!email) {
+    console.error('Usage: node scripts/create-admin.js <email> [password] [firstName] [lastName]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    let user = await User.findOne({ email: email.toLowerCase() });
+
+    if (user) {
+      user.role = 'admin';
+      await user.save();
+      console.log(`Promoted existing user ${user.email} to admin`);
+    } else {
+      if (!password) {
+        console.error(`No user found for ${email}. Provide a password to create a new admin account.`);
+        process.exitCode = 1;
+        return;
+      }
+
+      user = new User({
+        firstName,
+        lastName,
+        email,
+        password,
+        role: 'admin',
+        isEmailVerified: true
+      });
+      await user.save();
+      console.log(`Created admin account ${user.email}`);
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('Error creating admin:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,35 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Generate a new token signing key in JWT_KEYS_DIR (default ./keys).
+//
+//   npm run generate-signing-key              RSA 2048 (RS256)
+//   npm run generate-signing-key -- ec        EC P-256 (ES256)
+//   npm run generate-signing-key -- ed25519   Ed25519 (EdDSA)
+//
+// The key is published in the JWKS straight away; set JWT_ACTIVE_KID to start signing with it.
+const type = (process.argv[2] || 'rsa').toLowerCase();
+const dir = process.env.JWT_KEYS_DIR || path.join(__dirname, '..', 'keys');
+
+let keyPair;
+if (type === 'rsa') {
+  keyPair = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+} else if (type === 'ec') {
+  keyPair = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+} else if (type === 'ed25519') {
+  keyPair = crypto.generateKeyPairSync('ed25519');
+} else {
+  console.error('Usage: node scripts/generate-signing-key.js [rsa|ec|ed25519]');
+  process.exit(1);
+}
+
+const kid = `${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(4).toString('hex')}`;
+const file = path.join(dir, `${kid}.pem`);
+
+fs.mkdirSync(dir, { recursive: true });
+fs.writeFileSync(file, keyPair.privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+console.log(`Created ${type.toUpperCase()} signing key ${kid} at ${file}`);
+console.log(`Start signing with it by setting JWT_ACTIVE_KID=${kid}`);
@@ -0,0 +1,37 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Application = require('../models/application');
+
+// Give applications submitted before status history existed a starting timeline:
+// the submission at createdAt and, if they have moved on since, their current
+// status at updatedAt. The steps in between were never recorded.
+//
+//   npm run migrate:application-history
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const applications = Application.collection;
+
+  try {
+    const submitted = { from: null, to: 'pending', actor: '$applicant', actorRole: 'applicant', changedAt: '$createdAt' };
+    const current = { from: 'pending', to: '$status', actorRole: 'employer', changedAt: '$updatedAt' };
+
+    const pending = await applications.updateMany(
+      { statusHistory: { $exists: false }, status: 'pending' },
+      [{ $set: { statusHistory: [submitted] } }]
+    );
+
+    const moved = await applications.updateMany(
+      { statusHistory: { $exists: false } },
+      [{ $set: { statusHistory: [submitted, current] } }]
+    );
+
+    console.log(`Added status history to ${pending.modifiedCount + moved.modifiedCount} applications`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('Application history migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,34 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Application = require('../models/application');
+
+// Give applications submitted before appliedAt existed their submission time: the last
+// re-application recorded in their status history, or createdAt if they never re-applied.
+//
+//   npm run migrate:applied-at
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const reapplied = {
+      $filter: {
+        input: { $ifNull: ['$statusHistory', []] },
+        cond: { $and: [{ $eq: ['$$this.actorRole', 'applicant'] }, { $eq: ['$$this.reason', 'Re-applied'] }] }
+      }
+    };
+
+    const result = await Application.collection.updateMany(
+      { appliedAt: { $exists: false } },
+      [{ $set: { appliedAt: { $ifNull: [{ $last: { $map: { input: reapplied, in: '$$this.changedAt' } } }, '$createdAt'] } } }]
+    );
+
+    console.log(`Added appliedAt to ${result.modifiedCount} applications`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('appliedAt migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,33 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Job = require('../models/job');
+
+// Give jobs created before the lifecycle statuses a status: active jobs become
+// published, inactive ones closed. Taken-down jobs keep their moderation state.
+//
+//   npm run migrate:job-status
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const jobs = Job.collection;
+
+  try {
+    const published = await jobs.updateMany(
+      { status: { $exists: false }, $or: [{ isActive: true }, { 'moderation.takenDown': true }] },
+      [{ $set: { status: 'published', publishedAt: '$createdAt' } }]
+    );
+
+    const closed = await jobs.updateMany(
+      { status: { $exists: false } },
+      [{ $set: { status: 'closed', closedAt: '$updatedAt' } }]
+    );
+
+    console.log(`Set status on ${published.modifiedCount} published and ${closed.modifiedCount} closed jobs`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('Job status migration failed:', error.message);
+  process.exit(1);
+});
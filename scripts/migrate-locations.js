@@ -0,0 +1,56 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Job = require('../models/job');
+const geocodingService = require('../services/geocoding_service');
+
+// Convert legacy free-text Job.location strings to structured locations using the
+// bundled city dataset. Strings mentioning "remote" become remote jobs.
+//
+//   npm run migrate:locations
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const jobs = Job.collection;
+
+  try {
+    let converted = 0;
+    let geocoded = 0;
+    const unmatched = [];
+
+    const cursor = jobs.find({ location: { $type: 'string' } }, { projection: { location: 1 } });
+    for await (const job of cursor) {
+      const text = job.location;
+      const isRemote = /\bremote\b/i.test(text);
+      const location = geocodingService.resolveLocation(text.replace(/\bremote\b/ig, '').replace(/^[\s,/()-]+|[\s,/()-]+$/g, ''));
+
+      const update = { workMode: isRemote ? 'remote' : 'onsite' };
+      if (location && (location.city || location.country)) {
+        update.location = location;
+      } else if (!isRemote) {
+        // Keep the text as a city so the job stays valid and can be fixed by hand
+        update.location = { city: text };
+      }
+
+      await jobs.updateOne({ _id: job._id }, update.location ? { $set: update } : { $set: update, $unset: { location: '' } });
+
+      converted++;
+      if (update.location && update.location.point) {
+        geocoded++;
+      } else if (!isRemote) {
+        unmatched.push(`${job._id}: ${text}`);
+      }
+    }
+
+    console.log(`Converted ${converted} job locations (${geocoded} geocoded)`);
+    if (unmatched.length > 0) {
+      console.log('Not found in the city dataset (no coordinates):');
+      unmatched.forEach(line => console.log(`  ${line}`));
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('Location migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,30 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Application = require('../models/application');
+const applicationMatchService = require('../services/application_match_service');
+
+// Compute match scores for applications submitted before scoring existed, so
+// employers can sort and filter every application by score.
+//
+//   npm run migrate:match-scores
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const jobIds = await Application.distinct('job', { 'match.score': { $exists: false } });
+
+    let updated = 0;
+    for (const jobId of jobIds) {
+      updated += await applicationMatchService.recomputeForJob(jobId);
+    }
+
+    console.log(`Computed match scores for ${updated} applications across ${jobIds.length} jobs`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('Match score migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,61 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Job = require('../models/job');
+const Application = require('../models/application');
+const { DEFAULT_PIPELINE } = require('../utils/pipeline');
+
+// Move jobs and applications from the fixed status list to per-job pipelines. Jobs get
+// the default pipeline, whose stage keys are the old statuses, so applications keep
+// their status and only gain a category. Jobs given the default pipeline before it listed
+// its transitions get them added, so they keep the original transition rules.
+//
+//   npm run migrate:pipelines
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const jobs = await Job.collection.updateMany(
+      { pipeline: { $exists: false } },
+      { $set: { pipeline: DEFAULT_PIPELINE } }
+    );
+
+    // Default pipelines copied before stages listed their transitions
+    const defaultSignature = DEFAULT_PIPELINE.map(stage => `${stage.key}:${stage.category}`).join(',');
+    let backfilled = 0;
+    const cursor = Job.collection.find({ pipeline: { $exists: true }, 'pipeline.transitions': { $exists: false } });
+    for await (const job of cursor) {
+      if (job.pipeline.map(stage => `${stage.key}:${stage.category}`).join(',') !== defaultSignature) continue;
+
+      const pipeline = job.pipeline.map((stage, index) => ({ ...stage, transitions: DEFAULT_PIPELINE[index].transitions }));
+      await Job.collection.updateOne({ _id: job._id }, { $set: { pipeline } });
+      backfilled++;
+    }
+
+    const categories = { hired: 'hired', rejected: 'rejected', withdrawn: 'withdrawn' };
+    const applications = await Application.collection.updateMany(
+      { statusCategory: { $exists: false } },
+      [{
+        $set: {
+          statusCategory: {
+            $switch: {
+              branches: Object.entries(categories).map(([status, category]) => ({
+                case: { $eq: ['$status', status] },
+                then: category
+              })),
+              default: 'active'
+            }
+          }
+        }
+      }]
+    );
+
+    console.log(`Added pipelines to ${jobs.modifiedCount} jobs, default transitions to ${backfilled} jobs and categories to ${applications.modifiedCount} applications`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('Pipeline migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Job = require('../models/job');
+const salaryConfig = require('../config/salary');
+const { toAnnualBase } = require('../utils/salary');
+
+// Convert legacy numeric Job.salary values to structured salaries, and re-normalize
+// annual amounts for every disclosed salary (run again after changing exchange rates).
+//
+//   npm run migrate:salaries
+//   npm run migrate:salaries -- --currency=USD    currency of legacy numbers (default SALARY_DEFAULT_CURRENCY)
+const run = async () => {
+  const currencyArg = process.argv.find(arg => arg.startsWith('--currency='));
+  const legacyCurrency = currencyArg ? currencyArg.split('=')[1] : salaryConfig.defaultCurrency;
+
+  if (!salaryConfig.exchangeRates[legacyCurrency]) {
+    console.error(`Unknown currency ${legacyCurrency}. Supported: ${salaryConfig.currencies.join(', ')}`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  const jobs = Job.collection;
+
+  try {
+    // 1. Legacy numbers become a fixed yearly amount
+    let converted = 0;
+    const legacyCursor = jobs.find({ salary: { $type: 'number' } }, { projection: { salary: 1 } });
+    for await (const job of legacyCursor) {
+      const annual = toAnnualBase(job.salary, legacyCurrency, 'yearly');
+      await jobs.updateOne({ _id: job._id }, {
+        $set: {
+          salary: {
+            disclosed: true,
+            min: job.salary,
+            max: job.salary,
+            currency: legacyCurrency,
+            period: 'yearly',
+            annualMin: annual,
+            annualMax: annual
+          }
+        }
+      });
+      converted++;
+    }
+
+    // 2. Jobs that never had a salary are undisclosed
+    const missing = await jobs.updateMany(
+      { $or: [{ salary: { $exists: false } }, { salary: null }] },
+      { $set: { salary: { disclosed: false, currency: salaryConfig.defaultCurrency, period: 'yearly' } } }
+    );
+
+    // 3. Recompute normalized amounts with the current rate table
+    let renormalized = 0;
+    const disclosedCursor = jobs.find({ 'salary.disclosed': true }, { projection: { salary: 1 } });
+    for await (const job of disclosedCursor) {
+      const { min, max, currency, period } = job.salary;
+      await jobs.updateOne({ _id: job._id }, {
+        $set: {
+          'salary.annualMin': toAnnualBase(min != null ? min : max, currency, period),
+          'salary.annualMax': toAnnualBase(max != null ? max : min, currency, period)
+        }
+      });
+      renormalized++;
+    }
+
+    console.log(`Converted ${converted} legacy salaries (${legacyCurrency}, yearly)`);
+    console.log(`Marked ${missing.modifiedCount} jobs without salary as undisclosed`);
+    console.log(`Re-normalized ${renormalized} salaries to annual ${salaryConfig.baseCurrency}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('Salary migration failed:', error.message);
+  process.exit(1);
+});
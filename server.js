@@ -10,11 +10,18 @@ const connectDB = require('./config/db');
 // Middleware imports
 const errorHandler = require('./middlewares/error');
 
+// Service imports
+const keyService = require('./services/key_service');
+
 // Route imports
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/user');
 const jobRoutes = require('./routes/job');
 const applicationRoutes = require('./routes/application');
+const adminRoutes = require('./routes/admin');
+const apiKeyRoutes = require('./routes/api_key');
+const savedSearchRoutes = require('./routes/saved_search');
+const pipelineTemplateRoutes = require('./routes/pipeline_template');
 
 const app = express();
 
@@ -42,6 +49,10 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/jobs', jobRoutes);
 app.use('/api/applications', applicationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/pipeline-templates', pipelineTemplateRoutes);
 
 // Serve static files (uploaded files)
 app.use('/api/uploads', express.static('uploads'));
@@ -55,6 +66,12 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Public keys for verifying our access and refresh tokens
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(200).json(keyService.getJwks());
+});
+
 // Handle undefined routes
 app.all('*', (req, res) => {
   res.status(404).json({
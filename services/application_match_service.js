@@ -0,0 +1,77 @@
+const Application = require('../models/application');
+const Job = require('../models/job');
+const { compareSkills, experienceFit, weightedScore } = require('../utils/matching');
+const { failsKnockout } = require('../utils/screening');
+
+const WEIGHTS = { skills: 0.6, experience: 0.25, screening: 0.15 };
+
+// Share of the job's knockout questions the stored answers pass, or null if there are none
+const screeningFit = (job, screeningAnswers = []) => {
+  const knockoutQuestions = (job.screeningQuestions || []).filter(question => question.knockout && question.knockout.enabled);
+  if (knockoutQuestions.length === 0) return null;
+
+  const answers = new Map(screeningAnswers.map(answer => [answer.questionId.toString(), answer.answer]));
+  const passed = knockoutQuestions.filter((question) => {
+    const answer = answers.get(question._id.toString());
+    return answer !== undefined && !failsKnockout(question, answer);
+  });
+
+  return passed.length / knockoutQuestions.length;
+};
+
+// Candidate match scores on applications, from the job's requirements and the applicant's profile
+class ApplicationMatchService {
+  /**
+   * Compute the Application.match value
+   * @param {Object} job - Job with skillsRequired, experienceLevel and screeningQuestions
+   * @param {Object} applicant - User with skills and experience
+   * @param {Array} screeningAnswers - Application.screeningAnswers
+   * @returns {Object} { score, matchedSkills, missingSkills, experienceFit, screeningFit, computedAt }
+   */
+  computeMatch(job, applicant, screeningAnswers) {
+    const skills = compareSkills(job.skillsRequired, applicant.skills);
+    const experience = experienceFit(applicant.experience, job.experienceLevel);
+    const screening = screeningFit(job, screeningAnswers);
+
+    return {
+      score: weightedScore([
+        { value: skills.score, weight: WEIGHTS.skills },
+        { value: experience, weight: WEIGHTS.experience },
+        { value: screening, weight: WEIGHTS.screening }
+      ]),
+      matchedSkills: skills.matched,
+      missingSkills: skills.missing,
+      experienceFit: experience,
+      screeningFit: screening,
+      computedAt: new Date()
+    };
+  }
+
+  /**
+   * Recompute match scores for every application to a job, e.g. after its requirements change
+   * @param {string} jobId - Job ID
+   * @returns {number} Applications updated
+   */
+  async recomputeForJob(jobId) {
+    const job = await Job.findById(jobId).select('skillsRequired experienceLevel screeningQuestions');
+    if (!job) return 0;
+
+    let updated = 0;
+    const cursor = Application.find({ job: jobId })
+      .select('applicant screeningAnswers')
+      .populate('applicant', 'skills experience')
+      .cursor();
+
+    for await (const application of cursor) {
+      if (!application.applicant) continue;
+
+      const match = this.computeMatch(job, application.applicant, application.screeningAnswers);
+      await Application.updateOne({ _id: application._id }, { $set: { match } });
+      updated++;
+    }
+
+    return updated;
+  }
+}
+
+module.exports = new ApplicationMatchService();
@@ -0,0 +1,69 @@
+const Bookmark = require('../models/bookmark');
+const Job = require('../models/job');
+const Application = require('../models/application');
+const queueService = require('./queue_service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Deadline reminders for bookmarked jobs, run periodically by the scheduler worker
+class BookmarkReminderService {
+  /**
+   * Queue one reminder email per user for bookmarked jobs whose application deadline
+   * is within BOOKMARK_REMINDER_DAYS (default 3). Each bookmark is reminded at most once,
+   * and jobs the user has already applied to are skipped.
+   * @param {Date} [now] - Reference time
+   * @returns {Object} { bookmarks, emails }
+   */
+  async sendDeadlineReminders(now = new Date()) {
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+    const reminderDays = parseInt(process.env.BOOKMARK_REMINDER_DAYS, 10) || 3;
+
+    const jobs = await Job.find({
+      isActive: true,
+      applicationDeadline: { $gt: now, $lte: new Date(now.getTime() + reminderDays * DAY_MS) }
+    }).select('title company applicationDeadline');
+    if (jobs.length === 0) return { bookmarks: 0, emails: 0 };
+
+    const jobsById = new Map(jobs.map(job => [job._id.toString(), job]));
+    const bookmarks = await Bookmark.find({ jobId: { $in: [...jobsById.keys()] }, reminderSentAt: null })
+      .populate('userId', 'email firstName isActive');
+    if (bookmarks.length === 0) return { bookmarks: 0, emails: 0 };
+
+    const applications = await Application.find({
+      job: { $in: [...jobsById.keys()] },
+      applicant: { $in: bookmarks.filter(bookmark => bookmark.userId).map(bookmark => bookmark.userId._id) }
+    }).select('job applicant');
+    const applied = new Set(applications.map(application => `${application.applicant}:${application.job}`));
+
+    const reminders = new Map();
+    for (const bookmark of bookmarks) {
+      const user = bookmark.userId;
+      if (!user || !user.isActive || applied.has(`${user._id}:${bookmark.jobId}`)) continue;
+
+      const job = jobsById.get(bookmark.jobId.toString());
+      if (!reminders.has(user._id.toString())) {
+        reminders.set(user._id.toString(), { email: user.email, firstName: user.firstName, jobs: [] });
+      }
+      reminders.get(user._id.toString()).jobs.push({
+        title: job.title,
+        company: job.company,
+        applicationDeadline: job.applicationDeadline.toISOString(),
+        url: `${clientUrl}/jobs/${job._id}`
+      });
+    }
+
+    for (const reminder of reminders.values()) {
+      await queueService.sendBookmarkDeadlineReminder(reminder);
+    }
+
+    // Skipped bookmarks are marked too, so they aren't checked again on every run
+    await Bookmark.updateMany(
+      { _id: { $in: bookmarks.map(bookmark => bookmark._id) } },
+      { $set: { reminderSentAt: now } }
+    );
+
+    return { bookmarks: bookmarks.length, emails: reminders.size };
+  }
+}
+
+module.exports = new BookmarkReminderService();
@@ -1,4 +1,26 @@
 const nodemailer = require('nodemailer');
+const { buildEvent } = require('../utils/ical');
+
+// Escape user-supplied text before it goes into an email's HTML
+const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Interview email wording per event
+const INTERVIEW_EMAILS = {
+  proposed: { subject: 'Interview Request', heading: 'Pick a Time for Your Interview', color: '#3498db' },
+  confirmed: { subject: 'Interview Confirmed', heading: 'Interview Confirmed', color: '#27ae60' },
+  rescheduled: { subject: 'Interview Rescheduled', heading: 'Interview Rescheduled', color: '#f39c12' },
+  cancelled: { subject: 'Interview Cancelled', heading: 'Interview Cancelled', color: '#e74c3c' },
+  reminder: { subject: 'Interview Tomorrow', heading: 'Interview Reminder', color: '#3498db' }
+};
+
+// "Monday, October 19, 2026 at 8:30 PM (Asia/Kolkata)"
+const formatInterviewTime = (start, timezone) =>
+  `${new Date(start).toLocaleString('en-US', { timeZone: timezone, dateStyle: 'full', timeStyle: 'short' })} (${timezone})`;
 
 class EmailService {
   constructor() {
@@ -79,6 +101,350 @@ class EmailService {
       throw error;
     }
   }
+
+  /**
+   * Tell an employer that an applicant withdrew their application
+   * @param {string} employerEmail - Employer's email address
+   * @param {string} jobTitle - Job title
+   * @param {string} applicantName - Applicant's full name
+   * @param {string} [reason] - Reason given by the applicant
+   */
+  async sendApplicationWithdrawnNotification(employerEmail, jobTitle, applicantName, reason) {
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: employerEmail,
+      subject: `Application Withdrawn: ${jobTitle}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #2c3e50;">Application Withdrawn</h2>
+          <p>An applicant has withdrawn their application for the position:</p>
+          <p style="font-size: 18px; font-weight: bold; color: #3498db;">${escapeHtml(jobTitle)}</p>
+          <p><strong>Applicant:</strong> ${escapeHtml(applicantName)}</p>
+          ${reason ? `<p><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ''}
+          <p>The application stays in your dashboard, marked as withdrawn.</p>
+          <hr style="border: 1px solid #ecf0f1; margin: 20px 0;">
+          <p style="color: #7f8c8d; font-size: 12px;">This is an automated notification from your Job Application System.</p>
+        </div>
+      `
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log(`Application withdrawn email sent to ${employerEmail}`);
+      return { success: true };
+    } catch (error) {
+      console.error('Error sending application withdrawn email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Invite an employer to review applications for someone else's job
+   * @param {string} email - Invited employer's email address
+   * @param {string} firstName - Invited employer's first name
+   * @param {string} inviterName - Job owner's full name
+   * @param {string} jobTitle - Job title
+   * @param {string} company - Company name
+   * @param {string} invitationsUrl - Page where the invitation can be accepted or declined
+   */
+  async sendReviewerInvitation(email, firstName, inviterName, jobTitle, company, invitationsUrl) {
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: email,
+      subject: `Invitation to review applications: ${jobTitle}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #2c3e50;">Review Invitation</h2>
+          <p>Hi ${escapeHtml(firstName)},</p>
+          <p>${escapeHtml(inviterName)} invited you to review applications for:</p>
+          <p style="font-size: 18px; font-weight: bold; color: #3498db;">${escapeHtml(jobTitle)} at ${escapeHtml(company)}</p>
+          <p>If you accept, you will see applicants' details, resumes and status history for this job and can submit scorecards.</p>
+          <a href="${escapeHtml(invitationsUrl)}" style="display: inline-block; padding: 12px 24px; background-color: #3498db; color: #ffffff; text-decoration: none; border-radius: 4px;">View Invitation</a>
+          <hr style="border: 1px solid #ecf0f1; margin: 20px 0;">
+          <p style="color: #7f8c8d; font-size: 12px;">If you don't know this person, decline the invitation. Nothing is shared until you accept.</p>
+        </div>
+      `
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log(`Reviewer invitation email sent to ${email}`);
+      return { success: true };
+    } catch (error) {
+      console.error('Error sending reviewer invitation email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send email verification link to a newly registered user
+   * @param {string} email - User's email address
+   * @param {string} firstName - User's first name
+   * @param {string} verificationUrl - Link containing the signed verification token
+   */
+  async sendVerificationEmail(email, firstName, verificationUrl) {
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: email,
+      subject: 'Verify your email address',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #2c3e50;">Welcome, ${firstName}!</h2>
+          <p>Please confirm your email address to start posting jobs or applying for positions.</p>
+          <p style="margin: 30px 0;">
+            <a href="${verificationUrl}" style="background-color: #3498db; color: #ffffff; padding: 12px 24px; text-decoration: none; border-radius: 4px;">Verify Email</a>
+          </p>
+          <p>If the button doesn't work, copy this link into your browser:</p>
+          <p style="word-break: break-all; color: #3498db;">${verificationUrl}</p>
+          <p>If you didn't create an account, you can safely ignore this email.</p>
+          <hr style="border: 1px solid #ecf0f1; margin: 20px 0;">
+          <p style="color: #7f8c8d; font-size: 12px;">This is an automated message from your Job Application System.</p>
+        </div>
+      `
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log(`Verification email sent to ${email}`);
+      return { success: true };
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send password reset link
+   * @param {string} email - User's email address
+   * @param {string} firstName - User's first name
+   * @param {string} resetUrl - Link containing the reset token
+   */
+  async sendPasswordResetEmail(email, firstName, resetUrl) {
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: email,
+      subject: 'Reset your password',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #2c3e50;">Password Reset Request</h2>
+          <p>Hi ${firstName},</p>
+          <p>We received a request to reset the password for your account. This link can only be used once and expires shortly.</p>
+          <p style="margin: 30px 0;">
+            <a href="${resetUrl}" style="background-color: #e74c3c; color: #ffffff; padding: 12px 24px; text-decoration: none; border-radius: 4px;">Reset Password</a>
+          </p>
+          <p>If the button doesn't work, copy this link into your browser:</p>
+          <p style="word-break: break-all; color: #3498db;">${resetUrl}</p>
+          <p>If you didn't request a password reset, you can safely ignore this email. Your password will not change.</p>
+          <hr style="border: 1px solid #ecf0f1; margin: 20px 0;">
+          <p style="color: #7f8c8d; font-size: 12px;">This is an automated message from your Job Application System.</p>
+        </div>
+      `
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log(`Password reset email sent to ${email}`);
+      return { success: true };
+    } catch (error) {
+      console.error('Error sending password reset email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Warn a user that their account was temporarily locked
+   * @param {string} email - User's email address
+   * @param {string} firstName - User's first name
+   * @param {string} lockedUntil - ISO time the lockout ends
+   * @param {string} ipAddress - IP the failed attempts came from
+   */
+  async sendAccountLockoutEmail(email, firstName, lockedUntil, ipAddress) {
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: email,
+      subject: 'Your account has been temporarily locked',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #e74c3c;">Account Temporarily Locked</h2>
+          <p>Hi ${firstName},</p>
+          <p>We locked sign-in to your account after several failed login attempts.</p>
+          <p><strong>Locked until:</strong> ${new Date(lockedUntil).toUTCString()}</p>
+          <p><strong>Attempts came from IP:</strong> ${ipAddress || 'unknown'}</p>
+          <p>If this was you, wait until the lock expires and try again. If it wasn't, we recommend
+            <a href="${clientUrl}/forgot-password" style="color: #3498db;">resetting your password</a>.</p>
+          <hr style="border: 1px solid #ecf0f1; margin: 20px 0;">
+          <p style="color: #7f8c8d; font-size: 12px;">This is an automated security notice from your Job Application System.</p>
+        </div>
+      `
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log(`Account lockout email sent to ${email}`);
+      return { success: true };
+    } catch (error) {
+      console.error('Error sending account lockout email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send new jobs matching a user's saved searches
+   * @param {string} email - User's email address
+   * @param {string} firstName - User's first name
+   * @param {Array} searches - [{ name, unsubscribeUrl, jobs: [{ title, company, location, url }] }]
+   */
+  async sendJobAlertDigest(email, firstName, searches) {
+    const jobCount = searches.reduce((total, search) => total + search.jobs.length, 0);
+    const sections = searches.map(search => `
+          <h3 style="color: #2c3e50; margin-top: 30px;">${escapeHtml(search.name)}</h3>
+          <ul style="padding-left: 20px;">
+            ${search.jobs.map(job => `
+            <li style="margin-bottom: 10px;">
+              <a href="${escapeHtml(job.url)}" style="color: #3498db; font-weight: bold;">${escapeHtml(job.title)}</a><br>
+              <span style="color: #7f8c8d;">${escapeHtml(job.company)}${job.location ? ` &middot; ${escapeHtml(job.location)}` : ''}</span>
+            </li>`).join('')}
+          </ul>
+          <p style="font-size: 12px;"><a href="${escapeHtml(search.unsubscribeUrl)}" style="color: #7f8c8d;">Unsubscribe from "${escapeHtml(search.name)}" alerts</a></p>`).join('');
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: email,
+      subject: `${jobCount} new job${jobCount === 1 ? '' : 's'} matching your saved searches`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #2c3e50;">New Jobs For You</h2>
+          <p>Hi ${escapeHtml(firstName)}, here are the latest jobs matching your saved searches.</p>
+          ${sections}
+          <hr style="border: 1px solid #ecf0f1; margin: 20px 0;">
+          <p style="color: #7f8c8d; font-size: 12px;">You are receiving this because you turned on job alerts in your Job Application System account.</p>
+        </div>
+      `
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log(`Job alert digest sent to ${email}`);
+      return { success: true };
+    } catch (error) {
+      console.error('Error sending job alert digest email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remind an applicant that bookmarked jobs are closing soon
+   * @param {string} email - User's email address
+   * @param {string} firstName - User's first name
+   * @param {Array} jobs - [{ title, company, applicationDeadline, url }]
+   */
+  async sendBookmarkDeadlineReminder(email, firstName, jobs) {
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: email,
+      subject: jobs.length === 1
+        ? `Applications for ${jobs[0].title} close soon`
+        : `${jobs.length} of your bookmarked jobs close soon`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #2c3e50;">Don't Miss These Deadlines</h2>
+          <p>Hi ${escapeHtml(firstName)}, you bookmarked these jobs and haven't applied yet:</p>
+          <ul style="padding-left: 20px;">
+            ${jobs.map(job => `
+            <li style="margin-bottom: 10px;">
+              <a href="${escapeHtml(job.url)}" style="color: #3498db; font-weight: bold;">${escapeHtml(job.title)}</a> at ${escapeHtml(job.company)}<br>
+              <span style="color: #e74c3c;">Apply by ${new Date(job.applicationDeadline).toUTCString()}</span>
+            </li>`).join('')}
+          </ul>
+          <hr style="border: 1px solid #ecf0f1; margin: 20px 0;">
+          <p style="color: #7f8c8d; font-size: 12px;">This is an automated reminder from your Job Application System.</p>
+        </div>
+      `
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log(`Bookmark deadline reminder sent to ${email}`);
+      return { success: true };
+    } catch (error) {
+      console.error('Error sending bookmark deadline reminder email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send an interview email, with an .ics calendar invite once a time is set
+   * @param {Object} data - Queue job data from the interview service
+   * @param {string} data.event - proposed, confirmed, rescheduled, cancelled or reminder
+   * @param {Array} data.recipients - Email addresses
+   * @param {string} [data.start] - Scheduled time; slots are listed instead for proposals
+   */
+  async sendInterviewNotification(data) {
+    const { subject, heading, color } = INTERVIEW_EMAILS[data.event];
+    // Names, places and the cancellation reason are typed by users
+    const jobTitle = escapeHtml(data.jobTitle);
+    const company = escapeHtml(data.company);
+    const where = data.meetingUrl
+      ? `<a href="${escapeHtml(data.meetingUrl)}" style="color: #3498db;">${escapeHtml(data.meetingUrl)}</a>`
+      : escapeHtml(data.location);
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: data.recipients.join(', '),
+      subject: `${subject}: ${data.jobTitle} at ${data.company}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: ${color};">${heading}</h2>
+          <p><strong>Position:</strong> ${jobTitle} at ${company}</p>
+          <p><strong>Candidate:</strong> ${escapeHtml(data.applicantName)}</p>
+          ${data.event === 'proposed' ? `
+          <p>Please choose one of these times (${data.durationMinutes} minutes):</p>
+          <ul style="padding-left: 20px;">
+            ${data.slots.map(slot => `<li>${formatInterviewTime(slot, data.timezone)}</li>`).join('')}
+          </ul>
+          <a href="${data.url}" style="display: inline-block; padding: 12px 24px; background-color: #3498db; color: #ffffff; text-decoration: none; border-radius: 4px;">Choose a Time</a>
+          ` : `
+          ${data.start ? `<p><strong>When:</strong> ${formatInterviewTime(data.start, data.timezone)}, ${data.durationMinutes} minutes</p>` : ''}
+          <p><strong>Where:</strong> ${where}</p>
+          ${data.reason ? `<p><strong>Reason:</strong> ${escapeHtml(data.reason)}</p>` : ''}
+          `}
+          <hr style="border: 1px solid #ecf0f1; margin: 20px 0;">
+          <p style="color: #7f8c8d; font-size: 12px;">This is an automated message from your Job Application System.</p>
+        </div>
+      `
+    };
+
+    // Calendar clients use the UID and sequence to update or remove the earlier invite
+    if (data.start && data.event !== 'reminder') {
+      const method = data.event === 'cancelled' ? 'CANCEL' : 'REQUEST';
+      mailOptions.attachments = [{
+        filename: 'interview.ics',
+        contentType: `text/calendar; charset=utf-8; method=${method}`,
+        content: buildEvent({
+          method,
+          uid: data.uid,
+          sequence: data.sequence,
+          start: data.start,
+          durationMinutes: data.durationMinutes,
+          summary: `Interview: ${data.jobTitle} at ${data.company}`,
+          description: `Interview with ${data.applicantName} for ${data.jobTitle}.`,
+          location: data.meetingUrl || data.location,
+          organizer: data.organizer,
+          attendees: data.attendees
+        })
+      }];
+    }
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log(`Interview ${data.event} email sent to ${data.recipients.length} recipients`);
+      return { success: true };
+    } catch (error) {
+      console.error('Error sending interview email:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = new EmailService();
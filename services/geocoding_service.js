@@ -0,0 +1,100 @@
+const dataset = require('../data/cities.json');
+
+const normalize = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Offline geocoding against the bundled city list in data/cities.json
+class GeocodingService {
+  constructor() {
+    this.countryIndex = new Map();
+    for (const [code, names] of Object.entries(dataset.countries)) {
+      this.countryIndex.set(code.toLowerCase(), code);
+      names.forEach(name => this.countryIndex.set(normalize(name), code));
+    }
+
+    this.cityIndex = new Map();
+    for (const city of dataset.cities) {
+      [city.name, ...city.aliases].forEach((name) => {
+        const key = normalize(name);
+        if (!this.cityIndex.has(key)) this.cityIndex.set(key, []);
+        this.cityIndex.get(key).push(city);
+      });
+    }
+  }
+
+  // ISO 3166-1 alpha-2 code for a country name or code, or null
+  resolveCountry(value) {
+    return this.countryIndex.get(normalize(value)) || null;
+  }
+
+  /**
+   * Look up a city in the bundled dataset
+   * @param {string} city - City name or alias
+   * @param {string} [country] - Country name or code to disambiguate
+   * @returns {Object|null} Dataset entry
+   */
+  findCity(city, country) {
+    const matches = this.cityIndex.get(normalize(city)) || [];
+    const countryCode = country ? this.resolveCountry(country) : null;
+
+    return matches.find(match => !countryCode || match.country === countryCode) || null;
+  }
+
+  // Split free text like "Pune, Maharashtra, India" into parts
+  parseLocationString(text) {
+    const parts = String(text).split(',').map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) return {};
+
+    if (parts.length === 1) {
+      return this.resolveCountry(parts[0]) ? { country: parts[0] } : { city: parts[0] };
+    }
+
+    const last = parts[parts.length - 1];
+    if (this.resolveCountry(last)) {
+      return { city: parts[0], region: parts.length > 2 ? parts.slice(1, -1).join(', ') : undefined, country: last };
+    }
+
+    return { city: parts[0], region: parts.slice(1).join(', ') };
+  }
+
+  /**
+   * Turn a free-text or structured location into the Job.location shape,
+   * filling region, country and coordinates from the dataset where possible
+   * @param {string|Object} input - "City, Region, Country" or { city, region, country, coordinates: { lat, lng } }
+   * @returns {Object|null} { city, region, country, point }
+   */
+  resolveLocation(input) {
+    if (!input) return null;
+
+    const parts = typeof input === 'string' ? this.parseLocationString(input) : input;
+    const match = parts.city ? this.findCity(parts.city, parts.country) : null;
+
+    const location = {
+      city: match ? match.name : (parts.city || undefined),
+      region: parts.region || (match ? match.region : undefined),
+      country: this.resolveCountry(parts.country) || (match ? match.country : undefined)
+    };
+
+    // Explicit coordinates win over the dataset
+    const coordinates = parts.coordinates;
+    if (coordinates && coordinates.lat !== undefined && coordinates.lng !== undefined) {
+      location.point = { type: 'Point', coordinates: [Number(coordinates.lng), Number(coordinates.lat)] };
+    } else if (match) {
+      location.point = { type: 'Point', coordinates: [match.lng, match.lat] };
+    }
+
+    return location;
+  }
+
+  // Great-circle distance in kilometres between two GeoJSON points
+  distanceKm(from, to) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const [lng1, lat1] = from.coordinates;
+    const [lng2, lat2] = to.coordinates;
+
+    const a = Math.sin(toRadians(lat2 - lat1) / 2) ** 2 +
+      Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(toRadians(lng2 - lng1) / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.sqrt(a));
+  }
+}
+
+module.exports = new GeocodingService();
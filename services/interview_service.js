@@ -0,0 +1,122 @@
+const Application = require('../models/application');
+const Interview = require('../models/interview');
+const Job = require('../models/job');
+const User = require('../models/user');
+const queueService = require('./queue_service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OPEN_STATUSES = ['proposed', 'confirmed'];
+const CLOSED_APPLICATION_REASON = 'The application is no longer in progress';
+
+// Interview emails and the 24-hour reminders sent by the scheduler worker
+class InterviewService {
+  /**
+   * Queue the email for an interview event. Proposals go to the applicant only; everything
+   * after that goes to the applicant, the interviewers and the employer, with a calendar
+   * invite once a time is set.
+   * @param {Object} interview - Interview document
+   * @param {string} event - proposed, confirmed, rescheduled, cancelled or reminder
+   */
+  async notify(interview, event) {
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+
+    const [job, applicant, employer] = await Promise.all([
+      Job.findById(interview.job).select('title company'),
+      User.findById(interview.applicant).select('firstName lastName email'),
+      User.findById(interview.employerId).select('firstName lastName email')
+    ]);
+    if (!job || !applicant || !employer) return null;
+
+    const applicantContact = { name: `${applicant.firstName} ${applicant.lastName}`, email: applicant.email };
+    const organizer = { name: `${employer.firstName} ${employer.lastName}`, email: employer.email };
+    const attendees = [applicantContact, ...interview.interviewers.map(({ name, email }) => ({ name, email }))];
+
+    const recipients = event === 'proposed' ? [applicantContact] : [...attendees, organizer];
+
+    return queueService.sendInterviewNotification({
+      event,
+      recipients: [...new Set(recipients.map(recipient => recipient.email))],
+      jobTitle: job.title,
+      company: job.company,
+      applicantName: applicantContact.name,
+      organizer,
+      attendees,
+      start: interview.scheduledAt ? interview.scheduledAt.toISOString() : undefined,
+      slots: interview.slots.map(slot => slot.start.toISOString()),
+      durationMinutes: interview.durationMinutes,
+      timezone: interview.timezone,
+      location: interview.location,
+      meetingUrl: interview.meetingUrl,
+      reason: interview.cancellationReason,
+      uid: interview.calendarUid,
+      sequence: interview.sequence,
+      url: `${clientUrl}/applications/${interview.application}`
+    });
+  }
+
+  /**
+   * Cancel the proposed and confirmed interviews of applications that have left the active
+   * stages (withdrawn, rejected or hired), so no reminders go out and calendars drop the event
+   * @param {Array} applicationIds - Application IDs
+   * @param {string} cancelledBy - applicant or employer
+   * @returns {number} Interviews cancelled
+   */
+  async cancelOpenInterviews(applicationIds, cancelledBy) {
+    const interviews = await Interview.find({ application: { $in: applicationIds }, status: { $in: OPEN_STATUSES } });
+
+    for (const interview of interviews) {
+      interview.status = 'cancelled';
+      interview.cancellationReason = CLOSED_APPLICATION_REASON;
+      interview.cancelledBy = cancelledBy;
+      interview.sequence += 1;
+      await interview.save();
+
+      try {
+        await this.notify(interview, 'cancelled');
+      } catch (queueError) {
+        // Log error; the interview stays cancelled either way
+        console.error('Error enqueueing interview cancelled email:', queueError);
+      }
+    }
+
+    return interviews.length;
+  }
+
+  /**
+   * Cancel the open interviews of a job's applications that are no longer active, after a
+   * pipeline change moved them or recategorised their stage
+   * @param {string} jobId - Job ID
+   * @returns {number} Interviews cancelled
+   */
+  async cancelForClosedApplications(jobId) {
+    const withOpenInterviews = await Interview.distinct('application', { job: jobId, status: { $in: OPEN_STATUSES } });
+    if (withOpenInterviews.length === 0) return 0;
+
+    const closed = await Application.distinct('_id', { _id: { $in: withOpenInterviews }, statusCategory: { $ne: 'active' } });
+    return closed.length > 0 ? this.cancelOpenInterviews(closed, 'employer') : 0;
+  }
+
+  /**
+   * Queue reminders for confirmed interviews starting within the next 24 hours.
+   * Each interview is reminded once per scheduled time.
+   * @param {Date} [now] - Reference time
+   * @returns {Object} { reminders }
+   */
+  async sendDueReminders(now = new Date()) {
+    const interviews = await Interview.find({
+      status: 'confirmed',
+      scheduledAt: { $gt: now, $lte: new Date(now.getTime() + DAY_MS) },
+      reminderSentAt: null
+    });
+
+    for (const interview of interviews) {
+      await this.notify(interview, 'reminder');
+      interview.reminderSentAt = now;
+      await interview.save();
+    }
+
+    return { reminders: interviews.length };
+  }
+}
+
+module.exports = new InterviewService();
@@ -0,0 +1,92 @@
+const SavedSearch = require('../models/saved_search');
+const Job = require('../models/job');
+const queueService = require('./queue_service');
+const tokenService = require('./token_service');
+const { buildJobSearchFilter } = require('../utils/job_search');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_JOBS_PER_SEARCH = 20;
+
+// Minimum time between two alerts for each frequency
+const FREQUENCY_INTERVALS = {
+  instant: 0,
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS
+};
+
+// Short location text for an email line
+const describeLocation = (job) => {
+  if (job.workMode === 'remote') return 'Remote';
+  const place = [job.location && job.location.city, job.location && job.location.country].filter(Boolean).join(', ');
+  return job.workMode === 'hybrid' ? `${place} (Hybrid)` : place;
+};
+
+// Saved-search alerts, run periodically by the scheduler worker
+class JobAlertService {
+  /**
+   * Find saved searches whose alert is due, collect jobs published since their last alert
+   * and queue one digest email per user
+   * @param {Date} [now] - Reference time
+   * @returns {Object} { searches, emails }
+   */
+  async runDueAlerts(now = new Date()) {
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+
+    const dueSearches = await SavedSearch.find({
+      alertsEnabled: true,
+      $or: Object.entries(FREQUENCY_INTERVALS).map(([frequency, interval]) => ({
+        frequency,
+        lastAlertedAt: { $lte: new Date(now.getTime() - interval) }
+      }))
+    }).populate('userId', 'email firstName isActive');
+
+    const digests = new Map();
+
+    for (const savedSearch of dueSearches) {
+      const user = savedSearch.userId;
+      if (!user || !user.isActive) continue;
+
+      const { filter, error } = buildJobSearchFilter(savedSearch.query ? savedSearch.query.toObject() : {});
+      if (error) {
+        console.warn(`Skipping saved search ${savedSearch._id}: ${error}`);
+        continue;
+      }
+
+      const jobs = await Job.find({ ...filter, publishedAt: { $gt: savedSearch.lastAlertedAt, $lte: now } })
+        .select('title company location workMode')
+        .sort({ publishedAt: -1 })
+        .limit(MAX_JOBS_PER_SEARCH);
+      if (jobs.length === 0) continue;
+
+      const unsubscribeToken = tokenService.generateAlertUnsubscribeToken({ savedSearchId: savedSearch._id.toString() });
+
+      if (!digests.has(user._id.toString())) {
+        digests.set(user._id.toString(), { email: user.email, firstName: user.firstName, searches: [] });
+      }
+      digests.get(user._id.toString()).searches.push({
+        name: savedSearch.name,
+        unsubscribeUrl: `${clientUrl}/alerts/unsubscribe?token=${encodeURIComponent(unsubscribeToken)}`,
+        jobs: jobs.map(job => ({
+          title: job.title,
+          company: job.company,
+          location: describeLocation(job),
+          url: `${clientUrl}/jobs/${job._id}`
+        }))
+      });
+    }
+
+    for (const digest of digests.values()) {
+      await queueService.sendJobAlertDigest(digest);
+    }
+
+    // Searches without new jobs are moved on too, so the next alert only covers newer postings
+    await SavedSearch.updateMany(
+      { _id: { $in: dueSearches.map(savedSearch => savedSearch._id) } },
+      { $set: { lastAlertedAt: now } }
+    );
+
+    return { searches: dueSearches.length, emails: digests.size };
+  }
+}
+
+module.exports = new JobAlertService();
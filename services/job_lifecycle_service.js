@@ -0,0 +1,33 @@
+const Job = require('../models/job');
+
+// Time-based job status changes, run periodically by the scheduler worker
+class JobLifecycleService {
+  /**
+   * Publish scheduled jobs whose publish time has come and expire jobs past their close time.
+   * Documents are saved one by one so the model hooks keep isActive and timestamps in sync.
+   * @param {Date} [now] - Reference time
+   * @returns {Object} { published, expired }
+   */
+  async runScheduledTransitions(now = new Date()) {
+    let published = 0;
+    let expired = 0;
+
+    const dueToPublish = await Job.find({ status: 'scheduled', publishAt: { $lte: now } });
+    for (const job of dueToPublish) {
+      job.status = 'published';
+      await job.save();
+      published++;
+    }
+
+    const dueToExpire = await Job.find({ status: { $in: ['published', 'paused'] }, closeAt: { $lte: now } });
+    for (const job of dueToExpire) {
+      job.status = 'expired';
+      await job.save();
+      expired++;
+    }
+
+    return { published, expired };
+  }
+}
+
+module.exports = new JobLifecycleService();
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Asymmetric signing keys for access and refresh tokens.
+ *
+ * Keys live in JWT_KEYS_DIR (default ./keys), one PEM file per key, named by key id:
+ *   <kid>.pem      private key - can sign and verify
+ *   <kid>.pub.pem  public key only - verify-only, for keys being retired
+ * JWT_ACTIVE_KID picks the signing key (defaults to the newest private key).
+ * Every key is published at /.well-known/jwks.json.
+ *
+ * Rotation without logging anyone out:
+ *   1. Add the new key (npm run generate-signing-key) and deploy, so it is published.
+ *   2. Point JWT_ACTIVE_KID at it.
+ *   3. Once JWT_REFRESH_EXPIRES_IN has passed, remove the old key.
+ */
+class KeyService {
+  constructor() {
+    this.keys = new Map();
+    this.activeKid = null;
+    this.loadKeys();
+  }
+
+  // Algorithm used with a key, based on its type
+  getAlgorithm(publicKey) {
+    const { asymmetricKeyType, asymmetricKeyDetails } = publicKey;
+
+    if (asymmetricKeyType === 'rsa') return 'RS256';
+    if (asymmetricKeyType === 'ed25519') return 'EdDSA';
+    if (asymmetricKeyType === 'ec') {
+      const curves = { 'prime256v1': 'ES256', 'secp384r1': 'ES384', 'secp521r1': 'ES512' };
+      if (curves[asymmetricKeyDetails.namedCurve]) return curves[asymmetricKeyDetails.namedCurve];
+    }
+
+    throw new Error(`Unsupported signing key type: ${asymmetricKeyType}. Use an RSA, EC (P-256/P-384/P-521) or Ed25519 key.`);
+  }
+
+  loadKeys() {
+    const dir = process.env.JWT_KEYS_DIR || path.join(__dirname, '..', 'keys');
+    const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(file => file.endsWith('.pem')) : [];
+    const signingKids = [];
+
+    for (const file of files) {
+      const pem = fs.readFileSync(path.join(dir, file), 'utf8');
+      const isPublicOnly = file.endsWith('.pub.pem');
+      const kid = file.replace(/(\.pub)?\.pem$/, '');
+
+      const privateKey = isPublicOnly ? null : crypto.createPrivateKey(pem);
+      const publicKey = isPublicOnly ? crypto.createPublicKey(pem) : crypto.createPublicKey(privateKey);
+
+      this.keys.set(kid, {
+        kid,
+        privateKey,
+        publicKey,
+        algorithm: this.getAlgorithm(publicKey),
+        modifiedAt: fs.statSync(path.join(dir, file)).mtimeMs
+      });
+
+      if (privateKey) signingKids.push(kid);
+    }
+
+    if (signingKids.length === 0) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error(`No JWT signing keys found in ${dir}`);
+      }
+
+      // Development fallback: tokens stop validating when the process restarts
+      console.warn(`No JWT signing keys found in ${dir}; using an ephemeral development key`);
+      const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const kid = `dev-${crypto.randomBytes(4).toString('hex')}`;
+      this.keys.set(kid, { kid, privateKey, publicKey, algorithm: 'RS256', modifiedAt: Date.now() });
+      signingKids.push(kid);
+    }
+
+    const requestedKid = process.env.JWT_ACTIVE_KID;
+    if (requestedKid) {
+      if (!signingKids.includes(requestedKid)) {
+        throw new Error(`JWT_ACTIVE_KID "${requestedKid}" has no private key in ${dir}`);
+      }
+      this.activeKid = requestedKid;
+    } else {
+      this.activeKid = signingKids.sort((a, b) => this.keys.get(b).modifiedAt - this.keys.get(a).modifiedAt)[0];
+    }
+  }
+
+  // Key used to sign new tokens
+  getSigningKey() {
+    return this.keys.get(this.activeKid);
+  }
+
+  // Key matching a token's kid header, or undefined
+  getVerificationKey(kid) {
+    return this.keys.get(kid);
+  }
+
+  // Public keys in JWKS format
+  getJwks() {
+    return {
+      keys: [...this.keys.values()].map(key => ({
+        ...key.publicKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.algorithm,
+        use: 'sig'
+      }))
+    };
+  }
+}
+
+module.exports = new KeyService();
@@ -0,0 +1,119 @@
+const { getRedisClient } = require('../config/redis');
+
+class LoginThrottleService {
+  constructor() {
+    this.maxEmailAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+    this.maxIpAttempts = parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS) || 20;
+    this.windowSeconds = (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * 60;
+    this.lockoutSeconds = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60;
+    this.baseDelayMs = 500;
+    this.maxDelayMs = 8000;
+  }
+
+  keys(email, ip) {
+    return {
+      emailFailures: `login:fail:email:${email}`,
+      ipFailures: `login:fail:ip:${ip}`,
+      emailLock: `login:lock:email:${email}`,
+      ipLock: `login:lock:ip:${ip}`
+    };
+  }
+
+  /**
+   * Check whether a login attempt may proceed
+   * @param {string} email - Email being logged into
+   * @param {string} ip - Client IP
+   * @returns {Object} { locked, retryAfter (seconds), delayMs, failures }
+   */
+  async check(email, ip) {
+    try {
+      const client = getRedisClient();
+      const keys = this.keys(email, ip);
+      const [emailLockTtl, ipLockTtl, failures] = await Promise.all([
+        client.ttl(keys.emailLock),
+        client.ttl(keys.ipLock),
+        client.get(keys.emailFailures)
+      ]);
+
+      const retryAfter = Math.max(emailLockTtl, ipLockTtl, 0);
+      if (retryAfter > 0) {
+        return { locked: true, retryAfter, delayMs: 0, failures: Number(failures) || 0 };
+      }
+
+      return { locked: false, retryAfter: 0, delayMs: this.getDelay(Number(failures) || 0), failures: Number(failures) || 0 };
+    } catch (error) {
+      // Fail open: a Redis outage must not lock everyone out
+      console.error('Login throttle check error:', error.message);
+      return { locked: false, retryAfter: 0, delayMs: 0, failures: 0 };
+    }
+  }
+
+  // Progressive delay: nothing for the first two failures, then 0.5s, 1s, 2s... capped
+  getDelay(failures) {
+    if (failures < 2) return 0;
+    return Math.min(this.baseDelayMs * 2 ** (failures - 2), this.maxDelayMs);
+  }
+
+  /**
+   * Record a failed login attempt
+   * @returns {Object} { locked, newlyLocked, retryAfter, attemptsRemaining }
+   */
+  async recordFailure(email, ip) {
+    try {
+      const client = getRedisClient();
+      const keys = this.keys(email, ip);
+
+      const [emailFailures, ipFailures] = await Promise.all([
+        client.incr(keys.emailFailures),
+        client.incr(keys.ipFailures)
+      ]);
+      if (emailFailures === 1) await client.expire(keys.emailFailures, this.windowSeconds);
+      if (ipFailures === 1) await client.expire(keys.ipFailures, this.windowSeconds);
+
+      let newlyLocked = false;
+      if (emailFailures >= this.maxEmailAttempts) {
+        // NX so repeated failures during a lockout don't keep extending it
+        newlyLocked = (await client.set(keys.emailLock, '1', { EX: this.lockoutSeconds, NX: true })) === 'OK';
+        await client.del(keys.emailFailures);
+      }
+      if (ipFailures >= this.maxIpAttempts) {
+        await client.set(keys.ipLock, '1', { EX: this.lockoutSeconds, NX: true });
+        await client.del(keys.ipFailures);
+      }
+
+      const locked = emailFailures >= this.maxEmailAttempts || ipFailures >= this.maxIpAttempts;
+      return {
+        locked,
+        newlyLocked,
+        retryAfter: locked ? this.lockoutSeconds : 0,
+        attemptsRemaining: locked ? 0 : this.maxEmailAttempts - emailFailures
+      };
+    } catch (error) {
+      console.error('Login throttle record error:', error.message);
+      return { locked: false, newlyLocked: false, retryAfter: 0, attemptsRemaining: null };
+    }
+  }
+
+  // Clear failures for an email after a successful login
+  async reset(email) {
+    try {
+      const client = getRedisClient();
+      await client.del(this.keys(email, '').emailFailures);
+    } catch (error) {
+      console.error('Login throttle reset error:', error.message);
+    }
+  }
+
+  // Lift an email lockout early (e.g. after a password reset)
+  async unlock(email) {
+    try {
+      const client = getRedisClient();
+      const keys = this.keys(email, '');
+      await client.del([keys.emailFailures, keys.emailLock]);
+    } catch (error) {
+      console.error('Login throttle unlock error:', error.message);
+    }
+  }
+}
+
+module.exports = new LoginThrottleService();
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getRedisClient } = require('../config/redis');
+
+const STATE_TTL_SECONDS = 10 * 60;
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+// Error with an HTTP status the controller can pass straight through
+const oidcError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const base64url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/**
+ * OpenID Connect authorization code + PKCE login.
+ *
+ * Providers are configured through environment variables:
+ *   OIDC_PROVIDERS=google,mock
+ *   OIDC_GOOGLE_ISSUER=https://accounts.google.com
+ *   OIDC_GOOGLE_CLIENT_ID=...
+ *   OIDC_GOOGLE_CLIENT_SECRET=...            (omit for public clients)
+ *   OIDC_GOOGLE_REDIRECT_URI=https://app.example.com/auth/callback/google
+ *   OIDC_GOOGLE_SCOPES=openid email profile  (default)
+ */
+class OidcService {
+  constructor() {
+    this.discoveryCache = new Map();
+    this.jwksCache = new Map();
+  }
+
+  // Names of all configured providers
+  getProviderNames() {
+    return (process.env.OIDC_PROVIDERS || '')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(name => name && process.env[`OIDC_${name.toUpperCase()}_ISSUER`]);
+  }
+
+  getProvider(name) {
+    const key = String(name).toLowerCase();
+    if (!this.getProviderNames().includes(key)) {
+      throw oidcError('Unknown identity provider', 404);
+    }
+
+    const prefix = `OIDC_${key.toUpperCase()}_`;
+    return {
+      name: key,
+      issuer: process.env[`${prefix}ISSUER`].replace(/\/+$/, ''),
+      clientId: process.env[`${prefix}CLIENT_ID`],
+      clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+      redirectUri: process.env[`${prefix}REDIRECT_URI`],
+      scopes: process.env[`${prefix}SCOPES`] || 'openid email profile'
+    };
+  }
+
+  async fetchJson(url, options) {
+    const response = await fetch(url, options);
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      console.error(`OIDC request to ${url} failed (${response.status}):`, body);
+      throw oidcError('Identity provider request failed', 502);
+    }
+    return body;
+  }
+
+  // Provider metadata from /.well-known/openid-configuration (cached)
+  async getDiscovery(provider) {
+    const cached = this.discoveryCache.get(provider.issuer);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+
+    const value = await this.fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+    this.discoveryCache.set(provider.issuer, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+    return value;
+  }
+
+  // Provider signing keys (cached, refetched when an unknown kid shows up)
+  async getSigningKey(discovery, kid) {
+    const findKey = (jwks) => jwks.keys.find(k => k.kid === kid) || (!kid && jwks.keys.length === 1 ? jwks.keys[0] : null);
+
+    const cached = this.jwksCache.get(discovery.jwks_uri);
+    let jwk = cached && cached.expiresAt > Date.now() ? findKey(cached.value) : null;
+
+    if (!jwk) {
+      const jwks = await this.fetchJson(discovery.jwks_uri);
+      this.jwksCache.set(discovery.jwks_uri, { value: jwks, expiresAt: Date.now() + CACHE_TTL_MS });
+      jwk = findKey(jwks);
+    }
+
+    if (!jwk) {
+      throw oidcError('ID token signed with an unknown key', 401);
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  /**
+   * Start a login: store state, nonce and PKCE verifier, and build the provider URL
+   * @param {string} providerName - Configured provider name
+   * @param {Object} options
+   * @param {string} options.role - Role for a brand new account ('applicant' or 'employer')
+   * @returns {string} Authorization URL to send the browser to
+   */
+  async createAuthorizationUrl(providerName, { role = 'applicant' } = {}) {
+    const provider = this.getProvider(providerName);
+    const discovery = await this.getDiscovery(provider);
+
+    const state = base64url(crypto.randomBytes(32));
+    const nonce = base64url(crypto.randomBytes(32));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    await getRedisClient().set(
+      `oidc:state:${state}`,
+      JSON.stringify({ provider: provider.name, nonce, codeVerifier, role }),
+      { EX: STATE_TTL_SECONDS }
+    );
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: provider.redirectUri,
+      scope: provider.scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+
+    return `${discovery.authorization_endpoint}?${params.toString()}`;
+  }
+
+  /**
+   * Finish a login: redeem the code and return the verified ID token claims
+   * @param {string} providerName - Configured provider name
+   * @param {string} code - Authorization code from the redirect
+   * @param {string} state - State from the redirect
+   * @returns {Object} { claims, role }
+   */
+  async handleCallback(providerName, code, state) {
+    const provider = this.getProvider(providerName);
+
+    // Single use: GETDEL so a state can never be redeemed twice
+    const stored = await getRedisClient().getDel(`oidc:state:${state}`);
+    if (!stored) {
+      throw oidcError('Login session expired or invalid. Please try again.');
+    }
+
+    const { provider: storedProvider, nonce, codeVerifier, role } = JSON.parse(stored);
+    if (storedProvider !== provider.name) {
+      throw oidcError('Login session expired or invalid. Please try again.');
+    }
+
+    const discovery = await this.getDiscovery(provider);
+
+    const form = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      code_verifier: codeVerifier
+    });
+    if (provider.clientSecret) {
+      form.set('client_secret', provider.clientSecret);
+    }
+
+    const tokens = await this.fetchJson(discovery.token_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body: form.toString()
+    });
+
+    if (!tokens.id_token) {
+      throw oidcError('Identity provider did not return an ID token', 502);
+    }
+
+    const claims = await this.verifyIdToken(tokens.id_token, provider, discovery, nonce);
+    return { claims, role };
+  }
+
+  async verifyIdToken(idToken, provider, discovery, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw oidcError('Malformed ID token', 401);
+    }
+
+    const key = await this.getSigningKey(discovery, decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'],
+        issuer: discovery.issuer,
+        audience: provider.clientId
+      });
+    } catch (error) {
+      throw oidcError(`Invalid ID token: ${error.message}`, 401);
+    }
+
+    if (claims.nonce !== nonce) {
+      throw oidcError('Invalid ID token: nonce mismatch', 401);
+    }
+
+    return claims;
+  }
+}
+
+module.exports = new OidcService();
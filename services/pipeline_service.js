@@ -0,0 +1,77 @@
+const Application = require('../models/application');
+const PipelineTemplate = require('../models/pipeline_template');
+const interviewService = require('./interview_service');
+const { WITHDRAWN, normalizeStages, validatePipeline } = require('../utils/pipeline');
+
+// Per-job hiring pipelines and moving applications between them
+class PipelineService {
+  /**
+   * Stages for a job, from explicit stages or one of the employer's templates
+   * @param {Object} input
+   * @param {Array} [input.stages] - [{ key, name, category }]; keys default to slugs of the names
+   * @param {string} [input.templateId] - PipelineTemplate ID
+   * @param {string} employerId - Employer who must own the template
+   * @returns {Object} { stages } (undefined when neither is given) or { error }
+   */
+  async resolveStages({ stages, templateId }, employerId) {
+    if (templateId) {
+      const template = await PipelineTemplate.findOne({ _id: templateId, employerId });
+      if (!template) return { error: 'Pipeline template not found' };
+      return { stages: template.stages.map(stage => stage.toObject()) };
+    }
+
+    if (!stages) return { stages: undefined };
+
+    const normalized = normalizeStages(stages);
+    const error = validatePipeline(normalized);
+    return error ? { error } : { stages: normalized };
+  }
+
+  /**
+   * Replace a job's pipeline. Applications sitting in stages the new pipeline drops must be
+   * mapped to new stages ({ oldKey: newKey }); each move is recorded in the application history.
+   * @param {Object} job - Job document
+   * @param {Array} stages - Validated stages
+   * @param {Object} [stageMapping] - Old stage key to new stage key
+   * @param {string} actor - Employer making the change
+   * @returns {Object} { job, moved } or { error, unmappedStages }
+   */
+  async changeJobPipeline(job, stages, stageMapping = {}, actor) {
+    const keys = stages.map(stage => stage.key);
+    const inUse = await Application.distinct('status', { job: job._id, status: { $ne: WITHDRAWN } });
+    const removed = inUse.filter(key => !keys.includes(key));
+
+    const unmappedStages = removed.filter(key => !keys.includes(stageMapping[key]));
+    if (unmappedStages.length > 0) {
+      return {
+        error: 'Some applications are in stages the new pipeline drops. Map each to a new stage with stageMapping.',
+        unmappedStages
+      };
+    }
+
+    job.pipeline = stages;
+    await job.save();
+
+    let moved = 0;
+    for (const from of removed) {
+      const applications = await Application.find({ job: job._id, status: from });
+      for (const application of applications) {
+        application.changeStatus(stageMapping[from], job.pipeline, { actor, actorRole: 'employer', reason: 'Pipeline changed' });
+        await application.save();
+        moved++;
+      }
+    }
+
+    // Stages that were kept may have a new category
+    await Promise.all(job.pipeline.map(stage =>
+      Application.updateMany({ job: job._id, status: stage.key }, { $set: { statusCategory: stage.category } })
+    ));
+
+    // Applications now rejected or hired don't keep their interviews
+    await interviewService.cancelForClosedApplications(job._id);
+
+    return { job, moved };
+  }
+}
+
+module.exports = new PipelineService();
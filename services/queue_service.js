@@ -22,6 +22,15 @@ class QueueService {
       }
     });
 
+    // Queue for periodic maintenance jobs (repeatable, processed by the scheduler worker)
+    this.schedulerQueue = new Queue('scheduled-tasks', {
+      connection: this.connection,
+      defaultJobOptions: {
+        removeOnComplete: true,
+        removeOnFail: 50
+      }
+    });
+
     console.log('Queue service initialized with Redis connection:', this.connection);
   }
 
@@ -75,6 +84,277 @@ class QueueService {
     }
   }
 
+  /**
+   * Add job to tell an employer an applicant withdrew
+   * @param {Object} data - Email data
+   * @param {string} data.employerEmail - Employer's email
+   * @param {string} data.jobTitle - Job title
+   * @param {string} data.applicantName - Applicant's name
+   * @param {string} [data.reason] - Reason given by the applicant
+   */
+  async sendApplicationWithdrawnNotification(data) {
+    try {
+      const job = await this.emailQueue.add('application-withdrawn', {
+        type: 'employer-notification',
+        employerEmail: data.employerEmail,
+        jobTitle: data.jobTitle,
+        applicantName: data.applicantName,
+        reason: data.reason,
+        timestamp: new Date().toISOString()
+      });
+
+      console.log(`Email job added to queue: ${job.id} (application withdrawn)`);
+      return job;
+    } catch (error) {
+      console.error('Error adding application withdrawn job to queue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add job to invite an employer to review a job's applications
+   * @param {Object} data - Email data
+   * @param {string} data.email - Invited employer's email
+   * @param {string} data.firstName - Invited employer's first name
+   * @param {string} data.inviterName - Job owner's full name
+   * @param {string} data.jobTitle - Job title
+   * @param {string} data.company - Company name
+   * @param {string} data.invitationsUrl - Page listing the invitation
+   */
+  async sendReviewerInvitation(data) {
+    try {
+      const job = await this.emailQueue.add('reviewer-invitation', {
+        type: 'employer-notification',
+        email: data.email,
+        firstName: data.firstName,
+        inviterName: data.inviterName,
+        jobTitle: data.jobTitle,
+        company: data.company,
+        invitationsUrl: data.invitationsUrl,
+        timestamp: new Date().toISOString()
+      });
+
+      console.log(`Email job added to queue: ${job.id} (reviewer invitation)`);
+      return job;
+    } catch (error) {
+      console.error('Error adding reviewer invitation job to queue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add job to send an email verification link to a new user
+   * @param {Object} data - Email data
+   * @param {string} data.email - User's email
+   * @param {string} data.firstName - User's first name
+   * @param {string} data.verificationUrl - Link containing the signed verification token
+   */
+  async sendVerificationEmail(data) {
+    try {
+      const job = await this.emailQueue.add('email-verification', {
+        type: 'email-verification',
+        email: data.email,
+        firstName: data.firstName,
+        verificationUrl: data.verificationUrl,
+        timestamp: new Date().toISOString()
+      });
+
+      console.log(`Email job added to queue: ${job.id} (email verification)`);
+      return job;
+    } catch (error) {
+      console.error('Error adding email verification job to queue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add job to send a password reset link
+   * @param {Object} data - Email data
+   * @param {string} data.email - User's email
+   * @param {string} data.firstName - User's first name
+   * @param {string} data.resetUrl - Link containing the raw reset token
+   */
+  async sendPasswordResetEmail(data) {
+    try {
+      const job = await this.emailQueue.add('password-reset', {
+        type: 'password-reset',
+        email: data.email,
+        firstName: data.firstName,
+        resetUrl: data.resetUrl,
+        timestamp: new Date().toISOString()
+      });
+
+      console.log(`Email job added to queue: ${job.id} (password reset)`);
+      return job;
+    } catch (error) {
+      console.error('Error adding password reset job to queue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add job to warn a user that their account was locked after failed logins
+   * @param {Object} data - Email data
+   * @param {string} data.email - User's email
+   * @param {string} data.firstName - User's first name
+   * @param {string} data.lockedUntil - ISO time the lockout ends
+   * @param {string} data.ipAddress - IP the failed attempts came from
+   */
+  async sendAccountLockoutEmail(data) {
+    try {
+      const job = await this.emailQueue.add('account-lockout', {
+        type: 'account-lockout',
+        email: data.email,
+        firstName: data.firstName,
+        lockedUntil: data.lockedUntil,
+        ipAddress: data.ipAddress,
+        timestamp: new Date().toISOString()
+      });
+
+      console.log(`Email job added to queue: ${job.id} (account lockout)`);
+      return job;
+    } catch (error) {
+      console.error('Error adding account lockout job to queue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add job to send a job alert digest for a user's saved searches
+   * @param {Object} data - Email data
+   * @param {string} data.email - User's email
+   * @param {string} data.firstName - User's first name
+   * @param {Array} data.searches - [{ name, unsubscribeUrl, jobs: [{ title, company, location, url }] }]
+   */
+  async sendJobAlertDigest(data) {
+    try {
+      const job = await this.emailQueue.add('job-alert-digest', {
+        type: 'job-alert-digest',
+        email: data.email,
+        firstName: data.firstName,
+        searches: data.searches,
+        timestamp: new Date().toISOString()
+      });
+
+      console.log(`Email job added to queue: ${job.id} (job alert digest)`);
+      return job;
+    } catch (error) {
+      console.error('Error adding job alert digest job to queue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add job to remind a user that bookmarked jobs are closing soon
+   * @param {Object} data - Email data
+   * @param {string} data.email - User's email
+   * @param {string} data.firstName - User's first name
+   * @param {Array} data.jobs - [{ title, company, applicationDeadline, url }]
+   */
+  async sendBookmarkDeadlineReminder(data) {
+    try {
+      const job = await this.emailQueue.add('bookmark-deadline-reminder', {
+        type: 'bookmark-deadline-reminder',
+        email: data.email,
+        firstName: data.firstName,
+        jobs: data.jobs,
+        timestamp: new Date().toISOString()
+      });
+
+      console.log(`Email job added to queue: ${job.id} (bookmark deadline reminder)`);
+      return job;
+    } catch (error) {
+      console.error('Error adding bookmark deadline reminder job to queue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add job to send an interview email (proposal, confirmation, reschedule, cancellation or reminder)
+   * @param {Object} data - Email data, as built by the interview service
+   * @param {string} data.event - proposed, confirmed, rescheduled, cancelled or reminder
+   * @param {Array} data.recipients - Email addresses
+   */
+  async sendInterviewNotification(data) {
+    try {
+      const job = await this.emailQueue.add('interview-notification', {
+        type: 'interview-notification',
+        ...data,
+        timestamp: new Date().toISOString()
+      });
+
+      console.log(`Email job added to queue: ${job.id} (interview ${data.event})`);
+      return job;
+    } catch (error) {
+      console.error('Error adding interview notification job to queue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add job to recompute application match scores after a job's requirements change.
+   * A recompute still waiting for the same job is reused, since it reads the requirements
+   * when it runs. One already running may have read the old ones, and a finished or failed
+   * one must not block new recomputes, so in those cases a new job is queued.
+   * @param {string} jobId - Job ID
+   */
+  async recomputeMatchScores(jobId) {
+    try {
+      let queueJobId = `match-scores-${jobId}`;
+      const existing = await this.schedulerQueue.getJob(queueJobId);
+      if (existing) {
+        const state = await existing.getState();
+        if (['waiting', 'delayed', 'prioritized'].includes(state)) {
+          return existing;
+        }
+        if (state === 'completed' || state === 'failed') {
+          await existing.remove();
+        } else if (state === 'active') {
+          // Queue the next recompute under its own id while this one runs
+          queueJobId = `${queueJobId}-${Date.now()}`;
+        }
+      }
+
+      const job = await this.schedulerQueue.add('application-match-scores', { jobId: jobId.toString() }, {
+        jobId: queueJobId,
+        attempts: 3,
+        backoff: { type: 'exponential', delay: 2000 }
+      });
+
+      console.log(`Scheduled task added to queue: ${job.id} (match score recompute)`);
+      return job;
+    } catch (error) {
+      console.error('Error adding match score recompute to queue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register the repeatable maintenance jobs. Safe to call on every worker start:
+   * BullMQ deduplicates repeatable jobs with the same name and schedule.
+   */
+  async scheduleRepeatableJobs() {
+    try {
+      const lifecycleInterval = parseInt(process.env.JOB_LIFECYCLE_INTERVAL_MS, 10) || 60 * 1000;
+      await this.schedulerQueue.add('job-lifecycle', {}, { repeat: { every: lifecycleInterval } });
+
+      // Instant alerts go out on every run; daily and weekly ones once their interval has passed
+      const alertInterval = parseInt(process.env.JOB_ALERT_INTERVAL_MS, 10) || 15 * 60 * 1000;
+      await this.schedulerQueue.add('saved-search-alerts', {}, { repeat: { every: alertInterval } });
+
+      const reminderInterval = parseInt(process.env.BOOKMARK_REMINDER_INTERVAL_MS, 10) || 60 * 60 * 1000;
+      await this.schedulerQueue.add('bookmark-deadline-reminders', {}, { repeat: { every: reminderInterval } });
+
+      const interviewInterval = parseInt(process.env.INTERVIEW_REMINDER_INTERVAL_MS, 10) || 15 * 60 * 1000;
+      await this.schedulerQueue.add('interview-reminders', {}, { repeat: { every: interviewInterval } });
+
+      console.log(`Repeatable jobs registered: job-lifecycle (every ${lifecycleInterval}ms), saved-search-alerts (every ${alertInterval}ms), bookmark-deadline-reminders (every ${reminderInterval}ms), interview-reminders (every ${interviewInterval}ms)`);
+    } catch (error) {
+      console.error('Error registering repeatable jobs:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get queue statistics
    * @returns {Object} Queue stats (waiting, active, completed, failed)
@@ -100,6 +380,7 @@ class QueueService {
    */
   async close() {
     await this.emailQueue.close();
+    await this.schedulerQueue.close();
     console.log('Queue service closed');
   }
 }
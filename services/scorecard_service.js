@@ -0,0 +1,63 @@
+const Scorecard = require('../models/scorecard');
+
+const round = value => Math.round(value * 100) / 100;
+
+// Recommendation as a number from 1 (strong_no) to 4 (strong_yes), for averaging
+const recommendationScore = recommendation => Scorecard.RECOMMENDATIONS.indexOf(recommendation) + 1;
+
+// Aggregated reviewer feedback on applications
+class ScorecardService {
+  /**
+   * Combine scorecards on one application
+   * @param {Array} scorecards - Scorecard documents
+   * @returns {Object} { count, recommendations, averageRecommendation, criteria }
+   *   averageRecommendation runs from 1 (strong_no) to 4 (strong_yes), null without scorecards;
+   *   criteria are grouped by name, ignoring case
+   */
+  summarize(scorecards) {
+    const recommendations = Object.fromEntries(Scorecard.RECOMMENDATIONS.map(recommendation => [recommendation, 0]));
+    const criteria = new Map();
+
+    for (const scorecard of scorecards) {
+      recommendations[scorecard.recommendation]++;
+
+      for (const { name, rating } of scorecard.criteria) {
+        const key = name.toLowerCase();
+        if (!criteria.has(key)) criteria.set(key, { name, total: 0, count: 0 });
+        criteria.get(key).total += rating;
+        criteria.get(key).count++;
+      }
+    }
+
+    const totalScore = scorecards.reduce((total, scorecard) => total + recommendationScore(scorecard.recommendation), 0);
+
+    return {
+      count: scorecards.length,
+      recommendations,
+      averageRecommendation: scorecards.length > 0 ? round(totalScore / scorecards.length) : null,
+      criteria: [...criteria.values()].map(({ name, total, count }) => ({ name, averageRating: round(total / count), count }))
+    };
+  }
+
+  /**
+   * Summaries for every reviewed application to a job, strongest first
+   * @param {string} jobId - Job ID
+   * @returns {Array} [{ application, ...summary }]
+   */
+  async summarizeJob(jobId) {
+    const scorecards = await Scorecard.find({ job: jobId }).select('application recommendation criteria');
+
+    const byApplication = new Map();
+    for (const scorecard of scorecards) {
+      const key = scorecard.application.toString();
+      if (!byApplication.has(key)) byApplication.set(key, []);
+      byApplication.get(key).push(scorecard);
+    }
+
+    return [...byApplication.entries()]
+      .map(([application, applicationScorecards]) => ({ application, ...this.summarize(applicationScorecards) }))
+      .sort((a, b) => b.averageRecommendation - a.averageRecommendation || b.count - a.count);
+  }
+}
+
+module.exports = new ScorecardService();
@@ -1,46 +1,156 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const { SignJWT, jwtVerify, decodeProtectedHeader } = require('jose');
+const keyService = require('./key_service');
 
 class TokenService {
+  get issuer() {
+    return process.env.JWT_ISSUER || 'job-board-api';
+  }
+
+  get audience() {
+    return process.env.JWT_AUDIENCE || 'job-board-api';
+  }
+
   // Generate access token
   generateAccessToken(payload) {
-    return jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRES_IN || '30m'
-    });
+    return this.signWithActiveKey(payload, 'access', process.env.JWT_EXPIRES_IN || '30m');
   }
 
-  // Generate refresh token
-  generateRefreshToken(payload) {
-    return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
-      expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d'
+  // Generate refresh token. Every token gets a unique jti; rotated tokens keep their family.
+  generateRefreshToken(payload, family = crypto.randomUUID()) {
+    return this.signWithActiveKey({ ...payload, family }, 'refresh', process.env.JWT_REFRESH_EXPIRES_IN || '7d', {
+      jwtid: crypto.randomUUID()
     });
   }
 
-  // Generate both tokens
-  generateTokens(payload) {
-    const accessToken = this.generateAccessToken(payload);
-    const refreshToken = this.generateRefreshToken(payload);
-    
-    return { accessToken, refreshToken };
+  // Generate both tokens. Omit family to start a new one (fresh login).
+  // The access token carries the family as `sid` so requests know which session they belong to.
+  async generateTokens(payload, family = crypto.randomUUID()) {
+    const [accessToken, refreshToken] = await Promise.all([
+      this.generateAccessToken({ ...payload, sid: family }),
+      this.generateRefreshToken(payload, family)
+    ]);
+
+    return { accessToken, refreshToken, family };
   }
 
   // Verify access token
-  verifyAccessToken(token) {
+  async verifyAccessToken(token) {
     try {
-      return jwt.verify(token, process.env.JWT_SECRET);
+      return await this.verifyWithKey(token, 'access');
     } catch (error) {
       throw new Error('Invalid access token');
     }
   }
 
   // Verify refresh token
-  verifyRefreshToken(token) {
+  async verifyRefreshToken(token) {
     try {
-      return jwt.verify(token, process.env.JWT_REFRESH_SECRET);
+      return await this.verifyWithKey(token, 'refresh');
     } catch (error) {
       throw new Error('Invalid refresh token');
     }
   }
 
+  // Sign with the active asymmetric key. token_use keeps access and refresh tokens apart.
+  // Uses jose rather than jsonwebtoken, which can't sign with Ed25519 (EdDSA) keys.
+  signWithActiveKey(payload, tokenUse, expiresIn, { jwtid } = {}) {
+    const { kid, privateKey, algorithm } = keyService.getSigningKey();
+
+    const token = new SignJWT({ ...payload, token_use: tokenUse })
+      .setProtectedHeader({ alg: algorithm, typ: 'JWT', kid })
+      .setIssuedAt()
+      .setIssuer(this.issuer)
+      .setAudience(this.audience)
+      .setExpirationTime(expiresIn);
+    if (jwtid) token.setJti(jwtid);
+
+    return token.sign(privateKey);
+  }
+
+  // Verify against the key named in the token's kid header, checking iss, aud and token_use
+  async verifyWithKey(token, tokenUse) {
+    const { kid } = decodeProtectedHeader(token);
+    const key = keyService.getVerificationKey(kid);
+    if (!key) {
+      throw new Error('Unknown signing key');
+    }
+
+    const { payload } = await jwtVerify(token, key.publicKey, {
+      algorithms: [key.algorithm],
+      issuer: this.issuer,
+      audience: this.audience
+    });
+
+    if (payload.token_use !== tokenUse) {
+      throw new Error('Wrong token type');
+    }
+
+    return payload;
+  }
+
+  // Generate email verification token
+  generateEmailVerificationToken(payload) {
+    return this.generatePurposeToken(payload, 'email-verification', process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h');
+  }
+
+  // Verify email verification token
+  verifyEmailVerificationToken(token) {
+    try {
+      return this.verifyPurposeToken(token, 'email-verification');
+    } catch (error) {
+      throw new Error('Invalid verification token');
+    }
+  }
+
+  // Generate short-lived token proving the password step of a 2FA login has passed
+  generateMfaChallengeToken(payload) {
+    return this.generatePurposeToken(payload, 'mfa-challenge', process.env.MFA_CHALLENGE_EXPIRES_IN || '5m');
+  }
+
+  // Verify MFA challenge token
+  verifyMfaChallengeToken(token) {
+    try {
+      return this.verifyPurposeToken(token, 'mfa-challenge');
+    } catch (error) {
+      throw new Error('Invalid MFA challenge token');
+    }
+  }
+
+  // Generate token for the one-click unsubscribe link in job alert emails
+  generateAlertUnsubscribeToken(payload) {
+    return this.generatePurposeToken(payload, 'alert-unsubscribe', process.env.ALERT_UNSUBSCRIBE_EXPIRES_IN || '90d');
+  }
+
+  // Verify job alert unsubscribe token
+  verifyAlertUnsubscribeToken(token) {
+    try {
+      return this.verifyPurposeToken(token, 'alert-unsubscribe');
+    } catch (error) {
+      throw new Error('Invalid unsubscribe token');
+    }
+  }
+
+  generatePurposeToken(payload, purpose, expiresIn) {
+    return jwt.sign({ ...payload, purpose }, this.getPurposeSecret(purpose), { expiresIn });
+  }
+
+  verifyPurposeToken(token, purpose) {
+    const decoded = jwt.verify(token, this.getPurposeSecret(purpose));
+    if (decoded.purpose !== purpose) {
+      throw new Error('Wrong token purpose');
+    }
+    return decoded;
+  }
+
+  // Purpose-bound tokens get their own secret so they can never pass as access tokens.
+  // e.g. 'email-verification' reads JWT_EMAIL_VERIFICATION_SECRET
+  getPurposeSecret(purpose) {
+    const envKey = `JWT_${purpose.toUpperCase().replace(/-/g, '_')}_SECRET`;
+    return process.env[envKey] || `${process.env.JWT_SECRET}-${purpose}`;
+  }
+
   // Extract token from header
   extractTokenFromHeader(authHeader) {
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30 second steps)
+class TotpService {
+  constructor() {
+    this.issuer = process.env.TOTP_ISSUER || 'Job Board';
+    this.period = 30;
+    this.digits = 6;
+    this.window = 1; // Accept one step either side to allow for clock drift
+  }
+
+  // Generate a new random base32 secret
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * Build the otpauth:// URI that authenticator apps read from a QR code
+   * @param {string} secret - Base32 secret
+   * @param {string} accountName - Usually the user's email
+   */
+  getProvisioningUri(secret, accountName) {
+    const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.period)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  // Current time step
+  getCurrentStep() {
+    return Math.floor(Date.now() / 1000 / this.period);
+  }
+
+  // Generate the code for a given time step (HOTP, RFC 4226)
+  generateCode(secret, step = this.getCurrentStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** this.digits).padStart(this.digits, '0');
+  }
+
+  /**
+   * Verify a code against the secret
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @param {number} [lastUsedStep] - Step of the last accepted code, to stop replays
+   * @returns {number|null} The matched time step, or null if the code is invalid
+   */
+  verifyCode(secret, code, lastUsedStep = -1) {
+    if (!secret || typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+      return null;
+    }
+
+    const currentStep = this.getCurrentStep();
+    for (let step = currentStep - this.window; step <= currentStep + this.window; step++) {
+      if (step <= lastUsedStep) continue;
+
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 0xff);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+}
+
+module.exports = new TotpService();
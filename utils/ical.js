@@ -0,0 +1,76 @@
+// Minimal iCalendar (RFC 5545) events for interview invites
+
+// 2026-10-19T15:00:00.000Z -> 20261019T150000Z
+const formatDate = date => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = value => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines are limited to 75 octets; longer ones continue on lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const person = (property, { name, email }, params = '') =>
+  `${property}${name ? `;CN="${String(name).replace(/"/g, '')}"` : ''}${params}:mailto:${email}`;
+
+/**
+ * Build a calendar with a single event
+ * @param {Object} event
+ * @param {string} event.method - REQUEST for new and updated invites, CANCEL for cancellations
+ * @param {string} event.uid - Stable ID, so updates and cancellations replace the original event
+ * @param {number} event.sequence - Incremented on every change to the event
+ * @param {Date|string} event.start - Start time
+ * @param {number} event.durationMinutes - Length of the event
+ * @param {string} event.summary - Title
+ * @param {string} [event.description] - Details
+ * @param {string} [event.location] - Address or video link
+ * @param {Object} event.organizer - { name, email }
+ * @param {Array} [event.attendees] - [{ name, email }]
+ * @returns {string} .ics file content
+ */
+const buildEvent = ({ method, uid, sequence, start, durationMinutes, summary, description, location, organizer, attendees = [] }) => {
+  const end = new Date(new Date(start).getTime() + durationMinutes * 60 * 1000);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Job Application System//Interviews//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    location && `LOCATION:${escapeText(location)}`,
+    person('ORGANIZER', organizer),
+    ...attendees.map(attendee => person('ATTENDEE', attendee, ';ROLE=REQ-PARTICIPANT;RSVP=TRUE')),
+    `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+
+  return lines.filter(Boolean).map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildEvent
+};
@@ -0,0 +1,108 @@
+const salaryConfig = require('../config/salary');
+const { toAnnualBase } = require('./salary');
+const escapeRegex = require('./escape_regex');
+const geocodingService = require('../services/geocoding_service');
+
+// Earth's radius, for converting a search radius to radians
+const EARTH_RADIUS_KM = 6378.1;
+
+// Query parameters that make up a job search, as accepted by GET /api/jobs and saved searches
+const SEARCH_PARAMS = [
+  'search', 'location', 'jobType', 'experienceLevel', 'minSalary', 'maxSalary', 'salaryCurrency', 'salaryPeriod',
+  'near', 'radiusKm', 'remote', 'remoteCountry', 'workMode'
+];
+
+/**
+ * Build the MongoDB filter for public job search from query parameters
+ * @param {Object} params - GET /api/jobs query parameters or a saved search query
+ * @returns {Object} { filter } or { error } with a message for a 400 response
+ */
+const buildJobSearchFilter = (params) => {
+  const { search, location, jobType, experienceLevel, minSalary, maxSalary, near, remote, remoteCountry, workMode } = params;
+  const salaryCurrency = params.salaryCurrency || salaryConfig.defaultCurrency;
+  const salaryPeriod = params.salaryPeriod || 'yearly';
+
+  // isActive is true only for published jobs that haven't been taken down
+  const filter = { isActive: true };
+
+  if (search) filter.$text = { $search: search };
+  if (jobType) filter.jobType = jobType;
+  if (experienceLevel) filter.experienceLevel = experienceLevel;
+
+  // Salary filters are converted to annual base-currency amounts and match any overlapping range
+  if (minSalary || maxSalary) {
+    if (!salaryConfig.exchangeRates[salaryCurrency] || !salaryConfig.periodsPerYear[salaryPeriod]) {
+      return { error: 'Invalid salary currency or period' };
+    }
+
+    filter['salary.disclosed'] = true;
+    if (minSalary) filter['salary.annualMax'] = { $gte: toAnnualBase(minSalary, salaryCurrency, salaryPeriod) };
+    if (maxSalary) filter['salary.annualMin'] = { $lte: toAnnualBase(maxSalary, salaryCurrency, salaryPeriod) };
+  }
+
+  // Jobs without a deadline stay listed; jobs past their deadline don't
+  const conditions = [
+    { $or: [{ applicationDeadline: null }, { applicationDeadline: { $gte: new Date() } }] }
+  ];
+
+  // Location text matches city, region or country
+  if (location) {
+    const pattern = new RegExp(escapeRegex(location), 'i');
+    const countryCode = geocodingService.resolveCountry(location);
+    conditions.push({
+      $or: [
+        { 'location.city': pattern },
+        { 'location.region': pattern },
+        ...(countryCode ? [{ 'location.country': countryCode }] : [])
+      ]
+    });
+  }
+
+  // remote=true/false and workMode both filter on workMode, so they have to agree
+  if (workMode && ((remote === 'true' && workMode !== 'remote') || (remote === 'false' && workMode === 'remote'))) {
+    return { error: `remote=${remote} conflicts with workMode=${workMode}` };
+  }
+
+  // near=lat,lng&radiusKm= matches jobs within the radius; with remote=true, remote jobs are included too
+  if (near) {
+    const [lat, lng] = String(near).split(',').map(Number);
+    const radiusKm = Number(params.radiusKm) || 50;
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180 || radiusKm <= 0) {
+      return { error: 'near must be "lat,lng" and radiusKm a positive number' };
+    }
+
+    const nearCondition = {
+      'location.point': { $geoWithin: { $centerSphere: [[lng, lat], radiusKm / EARTH_RADIUS_KM] } }
+    };
+    conditions.push(remote === 'true' ? { $or: [nearCondition, { workMode: 'remote' }] } : nearCondition);
+  } else if (remote === 'true') {
+    filter.workMode = 'remote';
+  } else if (remote === 'false') {
+    filter.workMode = { $ne: 'remote' };
+  }
+
+  if (workMode) filter.workMode = workMode;
+
+  // remoteCountry=IN leaves out remote jobs that don't hire from that country
+  if (remoteCountry) {
+    const countryCode = geocodingService.resolveCountry(remoteCountry);
+    if (!countryCode) {
+      return { error: 'Unknown remoteCountry' };
+    }
+    conditions.push({
+      $or: [
+        { workMode: { $ne: 'remote' } },
+        { remoteCountries: { $size: 0 } },
+        { remoteCountries: countryCode }
+      ]
+    });
+  }
+
+  filter.$and = conditions;
+  return { filter };
+};
+
+module.exports = {
+  SEARCH_PARAMS,
+  buildJobSearchFilter
+};
@@ -0,0 +1,67 @@
+// Years of experience expected for each Job.experienceLevel
+const EXPERIENCE_LEVEL_YEARS = {
+  'Internship': [0, 1],
+  'Entry-level': [0, 2],
+  'Associate': [2, 5],
+  'Mid-senior level': [5, 10],
+  'Director': [10, 15],
+  'Executive': [15, Infinity]
+};
+
+// Compare skills case- and punctuation-insensitively, so "Node.js" matches "nodejs"
+const normalizeSkill = skill => String(skill).toLowerCase().replace(/[^a-z0-9+#]/g, '');
+
+/**
+ * Split a job's required skills into those a candidate has and those they lack
+ * @param {Array} required - Job.skillsRequired
+ * @param {Array} skills - Candidate skills
+ * @returns {Object} { matched, missing, score } - score is 0-1, or null when nothing is required
+ */
+const compareSkills = (required = [], skills = []) => {
+  const candidateSkills = new Set(skills.map(normalizeSkill));
+  const matched = [];
+  const missing = [];
+
+  required.forEach(skill => (candidateSkills.has(normalizeSkill(skill)) ? matched : missing).push(skill));
+
+  return { matched, missing, score: required.length > 0 ? matched.length / required.length : null };
+};
+
+/**
+ * How well years of experience fit an experience level. Falling short costs more
+ * than being over the range.
+ * @param {number} years - Candidate experience in years
+ * @param {string} level - Job.experienceLevel
+ * @returns {number|null} 0-1, or null when the job has no level
+ */
+const experienceFit = (years = 0, level) => {
+  const range = EXPERIENCE_LEVEL_YEARS[level];
+  if (!range) return null;
+
+  const [min, max] = range;
+  if (years < min) return Math.max(0, 1 - (min - years) * 0.25);
+  if (years > max) return Math.max(0, 1 - (years - max) * 0.1);
+  return 1;
+};
+
+/**
+ * Weighted average of score components on a 0-100 scale. Components without a value
+ * (null) are left out and the remaining weights scaled up.
+ * @param {Array} parts - [{ value: 0-1 or null, weight }]
+ * @returns {number} Rounded score
+ */
+const weightedScore = (parts) => {
+  const scored = parts.filter(part => part.value !== null && part.value !== undefined);
+  const totalWeight = scored.reduce((total, part) => total + part.weight, 0);
+  if (totalWeight === 0) return 0;
+
+  return Math.round(scored.reduce((total, part) => total + part.value * part.weight, 0) / totalWeight * 100);
+};
+
+module.exports = {
+  EXPERIENCE_LEVEL_YEARS,
+  normalizeSkill,
+  compareSkills,
+  experienceFit,
+  weightedScore
+};
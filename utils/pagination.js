@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Dates and ObjectIds keep their type through the JSON round trip
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+  return value;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.$date === 'string') return new Date(value.$date);
+    if (typeof value.$oid === 'string' && mongoose.Types.ObjectId.isValid(value.$oid)) {
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    return undefined;
+  }
+  return value;
+};
+
+// Opaque cursor: base64url JSON of the sort name and the last item's sort values
+const encodeCursor = (key, values) =>
+  Buffer.from(JSON.stringify({ k: key, v: values.map(encodeValue) })).toString('base64url');
+
+const decodeCursor = (token, key, length) => {
+  try {
+    const { k, v } = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    if (k !== key || !Array.isArray(v) || v.length !== length) return null;
+
+    const values = v.map(decodeValue);
+    return values.includes(undefined) ? null : values;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Read limit, cursor and includeTotal from the query string
+ * @param {Object} query - req.query
+ * @param {Array} sort - Sort as [[field, direction], ...], ending with a unique field
+ * @param {string} [key] - Sort name baked into cursors so they can't be reused with another sort
+ * @returns {Object} { limit, after, includeTotal } or { error }
+ */
+const parsePagination = (query, sort, key = 'default') => {
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: 'limit must be a positive integer' };
+    }
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+  const includeTotal = query.includeTotal === 'true';
+
+  if (!query.cursor) {
+    return { limit, after: null, includeTotal };
+  }
+
+  const after = decodeCursor(query.cursor, key, sort.length);
+  if (!after) {
+    return { error: 'Invalid pagination cursor' };
+  }
+
+  return { limit, after, includeTotal };
+};
+
+// Condition for values after the cursor's value in one sort field. MongoDB sorts null and
+// missing values before all others, so descending pages end with them and ascending pages
+// start with them; optional fields like match scores must not drop out of either.
+const afterValue = (field, direction, value) => {
+  if (value === null) return direction === 1 ? { [field]: { $ne: null } } : null;
+  if (direction === 1) return { [field]: { $gt: value } };
+  return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+/**
+ * Add the keyset condition for items after the cursor position to a filter
+ * @param {Object} filter - Base filter
+ * @param {Array} sort - Sort as [[field, direction], ...]
+ * @param {Array|null} after - Decoded cursor values
+ * @returns {Object} Filter
+ */
+const applyCursor = (filter, sort, after) => {
+  if (!after) return filter;
+
+  const cursorCondition = {
+    $or: sort
+      .map(([field, direction], index) => {
+        const condition = afterValue(field, direction, after[index]);
+        return condition && {
+          ...Object.fromEntries(sort.slice(0, index).map(([previous], i) => [previous, after[i]])),
+          ...condition
+        };
+      })
+      .filter(Boolean)
+  };
+
+  return { $and: [filter, cursorCondition] };
+};
+
+/**
+ * Trim the extra item fetched to detect more results and build the pagination envelope
+ * @param {Array} items - Up to limit + 1 documents, in sort order
+ * @param {Object} options
+ * @param {number} options.limit - Page size
+ * @param {Array} options.sort - Sort as [[field, direction], ...]
+ * @param {string} [options.key] - Sort name, as passed to parsePagination
+ * @param {number} [options.total] - Total matching items, when requested
+ * @returns {Object} { items, pagination: { limit, hasMore, nextCursor, total? } }
+ */
+const buildPage = (items, { limit, sort, key = 'default', total }) => {
+  const hasMore = items.length > limit;
+  const pageItems = hasMore ? items.slice(0, limit) : items;
+  const last = pageItems[pageItems.length - 1];
+
+  const valueOf = (item, field) => (typeof item.get === 'function' ? item.get(field) : item[field]);
+
+  return {
+    items: pageItems,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(key, sort.map(([field]) => valueOf(last, field))) : null,
+      ...(total !== undefined && { total })
+    }
+  };
+};
+
+// Newest first, the default order for list endpoints
+const NEWEST_FIRST = [['createdAt', -1], ['_id', -1]];
+
+module.exports = {
+  NEWEST_FIRST,
+  parsePagination,
+  applyCursor,
+  buildPage
+};
@@ -0,0 +1,120 @@
+// Reporting categories for pipeline stages
+const STAGE_CATEGORIES = ['active', 'rejected', 'hired'];
+
+// Applicant-only status outside every pipeline, with its own category
+const WITHDRAWN = 'withdrawn';
+
+const MAX_STAGES = 20;
+
+// The fixed statuses jobs had before custom pipelines; still the default for new jobs.
+// It keeps the original transition rules: hiring only from interview, reopening only to reviewed.
+const DEFAULT_PIPELINE = [
+  { key: 'pending', name: 'Applied', category: 'active', transitions: ['reviewed', 'shortlisted', 'interview', 'rejected'] },
+  { key: 'reviewed', name: 'Reviewed', category: 'active', transitions: ['shortlisted', 'interview', 'rejected'] },
+  { key: 'shortlisted', name: 'Shortlisted', category: 'active', transitions: ['interview', 'rejected'] },
+  { key: 'interview', name: 'Interview', category: 'active', transitions: ['hired', 'rejected'] },
+  { key: 'hired', name: 'Hired', category: 'hired', transitions: [] },
+  { key: 'rejected', name: 'Rejected', category: 'rejected', transitions: ['reviewed'] }
+];
+
+// "Phone screen" -> "phone_screen"
+const toStageKey = name => String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+// Stages as given by an employer, with keys filled in from names where missing
+const normalizeStages = (stages = []) => stages.map(stage => ({
+  key: stage.key || toStageKey(stage.name),
+  name: stage.name,
+  category: stage.category,
+  ...(Array.isArray(stage.transitions) && { transitions: stage.transitions })
+}));
+
+/**
+ * Check a pipeline is usable: new applications land in the first stage, so it must be
+ * active, and there must be somewhere to reject and hire
+ * @param {Array} stages - [{ key, name, category }]
+ * @returns {string|null} Error message
+ */
+const validatePipeline = (stages = []) => {
+  if (stages.length < 2 || stages.length > MAX_STAGES) {
+    return `A pipeline needs between 2 and ${MAX_STAGES} stages`;
+  }
+
+  const keys = stages.map(stage => stage.key);
+  if (keys.some(key => !/^[a-z0-9_]{1,50}$/.test(key || ''))) {
+    return 'Stage keys must be 1-50 lowercase letters, digits or underscores';
+  }
+  if (keys.includes(WITHDRAWN)) {
+    return `"${WITHDRAWN}" is reserved and cannot be a stage`;
+  }
+  if (new Set(keys).size !== keys.length) {
+    return 'Stage keys must be unique';
+  }
+
+  if (stages[0].category !== 'active') {
+    return 'The first stage must be an active stage';
+  }
+  for (const category of ['rejected', 'hired']) {
+    if (!stages.some(stage => stage.category === category)) {
+      return `A pipeline needs at least one ${category} stage`;
+    }
+  }
+
+  for (const stage of stages) {
+    if (stage.transitions && stage.transitions.some(key => key === stage.key || !keys.includes(key))) {
+      return `Transitions from "${stage.key}" must name other stages in the pipeline`;
+    }
+  }
+
+  return null;
+};
+
+// Category of a status on a pipeline, or null if the pipeline has no such stage
+const stageCategory = (stages, key) => {
+  if (key === WITHDRAWN) return WITHDRAWN;
+  const stage = stages.find(candidate => candidate.key === key);
+  return stage ? stage.category : null;
+};
+
+/**
+ * Stages an employer can move an application to. A stage that lists its transitions allows
+ * exactly those, as every stage of DEFAULT_PIPELINE does. Stages without a list follow the
+ * general rule for custom pipelines: active applications move forward to any later stage or
+ * to any rejected stage, rejected ones can be reopened at any active stage, and hired ones
+ * stay put. Withdrawn applications never move.
+ * @param {Array} stages - Job.pipeline
+ * @param {string} from - Current status
+ * @returns {Array} Stage keys
+ */
+const allowedTransitions = (stages, from) => {
+  const index = stages.findIndex(stage => stage.key === from);
+  if (index === -1) return [];
+
+  const { category, transitions } = stages[index];
+  if (transitions) return [...transitions];
+
+  if (category === 'active') {
+    return stages
+      .filter((stage, i) => i !== index && (i > index || stage.category === 'rejected'))
+      .map(stage => stage.key);
+  }
+  if (category === 'rejected') {
+    return stages.filter(stage => stage.category === 'active').map(stage => stage.key);
+  }
+  return [];
+};
+
+// Where new applications start, and where knocked-out ones go
+const firstStage = stages => stages[0].key;
+const firstRejectedStage = stages => stages.find(stage => stage.category === 'rejected').key;
+
+module.exports = {
+  STAGE_CATEGORIES,
+  WITHDRAWN,
+  DEFAULT_PIPELINE,
+  normalizeStages,
+  validatePipeline,
+  stageCategory,
+  allowedTransitions,
+  firstStage,
+  firstRejectedStage
+};
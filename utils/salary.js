@@ -0,0 +1,29 @@
+const salaryConfig = require('../config/salary');
+
+// Convert an amount in any supported currency and pay period to an annual base-currency amount
+const toAnnualBase = (amount, currency = salaryConfig.defaultCurrency, period = 'yearly') => {
+  if (amount === undefined || amount === null || amount === '') return null;
+
+  const rate = salaryConfig.exchangeRates[currency];
+  const multiplier = salaryConfig.periodsPerYear[period];
+  if (!rate || !multiplier) return null;
+
+  return Math.round(Number(amount) * rate * multiplier);
+};
+
+// Accept the old plain-number salary from API clients as a fixed yearly amount
+const normalizeSalaryInput = (salary) => {
+  if (salary === undefined || salary === null || salary === '') return salary;
+
+  if (typeof salary === 'number' || (typeof salary === 'string' && salary.trim() !== '' && !isNaN(salary))) {
+    const amount = Number(salary);
+    return { min: amount, max: amount, currency: salaryConfig.defaultCurrency, period: 'yearly', disclosed: true };
+  }
+
+  return salary;
+};
+
+module.exports = {
+  toAnnualBase,
+  normalizeSalaryInput
+};
@@ -0,0 +1,118 @@
+const DEFAULT_KNOCKOUT_REASON = 'Did not meet the screening requirements for this job';
+// Application.rejectionReason and statusHistory reasons are capped at 500 characters
+const MAX_REJECTION_REASON_LENGTH = 500;
+
+const isBlank = answer => answer === undefined || answer === null || answer === '' ||
+  (Array.isArray(answer) && answer.length === 0);
+
+// Coerce a raw answer to the question's type; returns { value } or { error }
+const parseAnswer = (question, answer) => {
+  switch (question.type) {
+    case 'boolean':
+      if (answer === true || answer === 'true') return { value: true };
+      if (answer === false || answer === 'false') return { value: false };
+      return { error: 'Answer must be true or false' };
+    case 'number': {
+      const value = Number(answer);
+      return typeof answer !== 'boolean' && answer !== '' && Number.isFinite(value) ? { value } : { error: 'Answer must be a number' };
+    }
+    case 'single_choice':
+      return question.choices.includes(answer) ? { value: answer } : { error: 'Answer must be one of the listed choices' };
+    case 'multi_choice': {
+      const values = Array.isArray(answer) ? answer : [answer];
+      return values.every(value => question.choices.includes(value))
+        ? { value: [...new Set(values)] }
+        : { error: 'Answers must be among the listed choices' };
+    }
+    case 'short_text':
+      if (typeof answer !== 'string') return { error: 'Answer must be text' };
+      if (answer.trim().length > 500) return { error: 'Answer cannot exceed 500 characters' };
+      return { value: answer.trim() };
+    default:
+      return { error: 'Unsupported question type' };
+  }
+};
+
+// Whether a parsed answer fails the question's knockout criteria
+const failsKnockout = (question, value) => {
+  const knockout = question.knockout;
+  if (!knockout || !knockout.enabled) return false;
+
+  switch (question.type) {
+    case 'boolean':
+      return knockout.expectedAnswer !== undefined && value !== knockout.expectedAnswer;
+    case 'single_choice':
+      return Boolean(knockout.acceptedChoices) && !knockout.acceptedChoices.includes(value);
+    case 'multi_choice':
+      return Boolean(knockout.acceptedChoices) && !value.some(choice => knockout.acceptedChoices.includes(choice));
+    case 'number':
+      return (knockout.min !== undefined && knockout.min !== null && value < knockout.min) ||
+        (knockout.max !== undefined && knockout.max !== null && value > knockout.max);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Check an applicant's answers against a job's screening questions
+ * @param {Array} questions - Job.screeningQuestions
+ * @param {Array} answers - [{ questionId, answer }]
+ * @returns {Object} { errors, answers, knockoutReasons } - answers in the Application.screeningAnswers shape
+ */
+const evaluateScreeningAnswers = (questions = [], answers = []) => {
+  const answersById = new Map((Array.isArray(answers) ? answers : [])
+    .filter(entry => entry && entry.questionId)
+    .map(entry => [String(entry.questionId), entry.answer]));
+
+  const errors = [];
+  const evaluated = [];
+  const knockoutReasons = [];
+
+  for (const question of questions) {
+    const questionId = question._id.toString();
+    const raw = answersById.get(questionId);
+    answersById.delete(questionId);
+
+    // Knockout questions can't be skipped, or the knockout would never be checked
+    if (isBlank(raw)) {
+      const knockoutEnabled = Boolean(question.knockout && question.knockout.enabled);
+      if (question.required || knockoutEnabled) errors.push({ questionId, message: 'An answer is required' });
+      continue;
+    }
+
+    const { value, error } = parseAnswer(question, raw);
+    if (error) {
+      errors.push({ questionId, message: error });
+      continue;
+    }
+
+    const knockedOut = failsKnockout(question, value);
+    if (knockedOut) knockoutReasons.push(question.knockout.reason || DEFAULT_KNOCKOUT_REASON);
+
+    evaluated.push({ questionId: question._id, question: question.question, type: question.type, answer: value, knockedOut });
+  }
+
+  for (const questionId of answersById.keys()) {
+    errors.push({ questionId, message: 'Unknown screening question' });
+  }
+
+  return { errors, answers: evaluated, knockoutReasons: [...new Set(knockoutReasons)] };
+};
+
+/**
+ * Join knockout reasons into a single rejection reason that fits Application.rejectionReason.
+ * The full per-question outcome stays on each screening answer's knockedOut flag.
+ * @param {Array} reasons - knockoutReasons from evaluateScreeningAnswers
+ * @returns {string}
+ */
+const summarizeKnockoutReasons = (reasons) => {
+  const summary = reasons.join('; ');
+  if (summary.length <= MAX_REJECTION_REASON_LENGTH) return summary;
+  return `${summary.slice(0, MAX_REJECTION_REASON_LENGTH - 3).trimEnd()}...`;
+};
+
+module.exports = {
+  evaluateScreeningAnswers,
+  failsKnockout,
+  summarizeKnockoutReasons
+};
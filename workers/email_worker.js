@@ -28,6 +28,71 @@ const emailWorker = new Worker('email-notifications', async (job) => {
         job.data.companyName
       );
       console.log(`✓ Job ${job.id} completed: Applicant confirmation sent`);
+    } else if (job.name === 'application-withdrawn') {
+      // Tell employer an applicant withdrew
+      await emailService.sendApplicationWithdrawnNotification(
+        job.data.employerEmail,
+        job.data.jobTitle,
+        job.data.applicantName,
+        job.data.reason
+      );
+      console.log(`✓ Job ${job.id} completed: Application withdrawn notification sent`);
+    } else if (job.name === 'reviewer-invitation') {
+      // Invite an employer to review a job's applications
+      await emailService.sendReviewerInvitation(
+        job.data.email,
+        job.data.firstName,
+        job.data.inviterName,
+        job.data.jobTitle,
+        job.data.company,
+        job.data.invitationsUrl
+      );
+      console.log(`✓ Job ${job.id} completed: Reviewer invitation sent`);
+    } else if (job.name === 'email-verification') {
+      // Send verification link to new user
+      await emailService.sendVerificationEmail(
+        job.data.email,
+        job.data.firstName,
+        job.data.verificationUrl
+      );
+      console.log(`✓ Job ${job.id} completed: Verification email sent`);
+    } else if (job.name === 'password-reset') {
+      // Send password reset link
+      await emailService.sendPasswordResetEmail(
+        job.data.email,
+        job.data.firstName,
+        job.data.resetUrl
+      );
+      console.log(`✓ Job ${job.id} completed: Password reset email sent`);
+    } else if (job.name === 'account-lockout') {
+      // Warn account owner about the lockout
+      await emailService.sendAccountLockoutEmail(
+        job.data.email,
+        job.data.firstName,
+        job.data.lockedUntil,
+        job.data.ipAddress
+      );
+      console.log(`✓ Job ${job.id} completed: Account lockout email sent`);
+    } else if (job.name === 'job-alert-digest') {
+      // Send new matches for the user's saved searches
+      await emailService.sendJobAlertDigest(
+        job.data.email,
+        job.data.firstName,
+        job.data.searches
+      );
+      console.log(`✓ Job ${job.id} completed: Job alert digest sent`);
+    } else if (job.name === 'bookmark-deadline-reminder') {
+      // Remind applicant about bookmarked jobs closing soon
+      await emailService.sendBookmarkDeadlineReminder(
+        job.data.email,
+        job.data.firstName,
+        job.data.jobs
+      );
+      console.log(`✓ Job ${job.id} completed: Bookmark deadline reminder sent`);
+    } else if (job.name === 'interview-notification') {
+      // Send interview proposal, invite, update or reminder
+      await emailService.sendInterviewNotification(job.data);
+      console.log(`✓ Job ${job.id} completed: Interview ${job.data.event} email sent`);
     } else {
       console.warn(`Unknown job type: ${job.name}`);
     }
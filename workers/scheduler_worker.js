@@ -0,0 +1,76 @@
+const { Worker } = require('bullmq');
+const jobLifecycleService = require('../services/job_lifecycle_service');
+const jobAlertService = require('../services/job_alert_service');
+const bookmarkReminderService = require('../services/bookmark_reminder_service');
+const applicationMatchService = require('../services/application_match_service');
+const interviewService = require('../services/interview_service');
+
+// Redis connection configuration
+const connection = {
+  host: process.env.REDIS_HOST || 'localhost',
+  port: parseInt(process.env.REDIS_PORT) || 6379,
+};
+
+// Create worker to process repeatable maintenance jobs
+const schedulerWorker = new Worker('scheduled-tasks', async (job) => {
+  if (job.name === 'job-lifecycle') {
+    // Publish scheduled postings and expire closed ones
+    const result = await jobLifecycleService.runScheduledTransitions();
+    if (result.published || result.expired) {
+      console.log(`✓ Job lifecycle: ${result.published} published, ${result.expired} expired`);
+    }
+    return result;
+  }
+
+  if (job.name === 'saved-search-alerts') {
+    // Queue digest emails for saved searches with new matches
+    const result = await jobAlertService.runDueAlerts();
+    if (result.emails) {
+      console.log(`✓ Saved search alerts: ${result.emails} digests queued for ${result.searches} due searches`);
+    }
+    return result;
+  }
+
+  if (job.name === 'bookmark-deadline-reminders') {
+    // Remind applicants about bookmarked jobs closing soon
+    const result = await bookmarkReminderService.sendDeadlineReminders();
+    if (result.emails) {
+      console.log(`✓ Bookmark reminders: ${result.emails} emails queued`);
+    }
+    return result;
+  }
+
+  if (job.name === 'interview-reminders') {
+    // Remind everyone about interviews in the next 24 hours
+    const result = await interviewService.sendDueReminders();
+    if (result.reminders) {
+      console.log(`✓ Interview reminders: ${result.reminders} emails queued`);
+    }
+    return result;
+  }
+
+  if (job.name === 'application-match-scores') {
+    // Re-rank applications after the job's requirements changed
+    const updated = await applicationMatchService.recomputeForJob(job.data.jobId);
+    console.log(`✓ Match scores recomputed for ${updated} applications to job ${job.data.jobId}`);
+    return { updated };
+  }
+
+  console.warn(`Unknown scheduled task: ${job.name}`);
+  return null;
+}, {
+  connection,
+  concurrency: 1 // Maintenance tasks must not overlap
+});
+
+schedulerWorker.on('failed', (job, err) => {
+  console.error(`[FAILED] Scheduled task ${job.name} failed with error: ${err.message}`);
+});
+
+schedulerWorker.on('error', (err) => {
+  console.error('[ERROR] Scheduler worker error:', err);
+});
+
+console.log('Scheduler Worker Started (queue: scheduled-tasks)');
+
+module.exports = schedulerWorker;
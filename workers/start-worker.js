@@ -1,11 +1,41 @@
 require('dotenv').config();
+const connectDB = require('../config/db');
+const queueService = require('../services/queue_service');
 const emailWorker = require('./email_worker');
+const schedulerWorker = require('./scheduler_worker');
+
+const closeWorkers = () => Promise.all([emailWorker.close(), schedulerWorker.close(), queueService.close()]);
+
+const SCHEDULE_ATTEMPTS = 5;
+const SCHEDULE_RETRY_DELAY_MS = 5000;
+
+// Register the repeatable jobs, retrying while Redis is unavailable. Without them nothing
+// scheduled would ever run, so give up and exit if they still can't be registered.
+const scheduleRepeatableJobs = async () => {
+  for (let attempt = 1; attempt <= SCHEDULE_ATTEMPTS; attempt++) {
+    try {
+      await queueService.scheduleRepeatableJobs();
+      return;
+    } catch (error) {
+      console.error(`Registering repeatable jobs failed (attempt ${attempt} of ${SCHEDULE_ATTEMPTS}): ${error.message}`);
+      if (attempt < SCHEDULE_ATTEMPTS) {
+        await new Promise(resolve => setTimeout(resolve, SCHEDULE_RETRY_DELAY_MS));
+      }
+    }
+  }
+
+  console.error('Could not register repeatable jobs; check the Redis connection. Exiting worker.');
+  process.exit(1);
+};
+
+// Scheduled tasks read and update jobs, so the worker needs the database too
+connectDB().then(scheduleRepeatableJobs);
 
 // Graceful shutdown handlers
 process.on('SIGTERM', async () => {
   console.log('\nSIGTERM received, closing worker gracefully...');
   try {
-    await emailWorker.close();
+    await closeWorkers();
     console.log('Worker closed successfully');
     process.exit(0);
   } catch (error) {
@@ -17,7 +47,7 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   console.log('\nSIGINT received (Ctrl+C), closing worker gracefully...');
   try {
-    await emailWorker.close();
+    await closeWorkers();
     console.log('Worker closed successfully');
     process.exit(0);
   } catch (error) {